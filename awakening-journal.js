@@ -0,0 +1,206 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * awakening-journal.js - Append-only record of every boot
+ *
+ * Each awakening records the host, version, the previous run's last ping,
+ * the computed downtime and how the previous run ended. A shutdown marker
+ * is written when the process exits on SIGTERM/SIGINT or an uncaught
+ * exception; a boot that finds no marker means the previous run died
+ * without getting the chance to write one.
+ */
+
+const os = require('os');
+const logger = require('./logger');
+const memoryStorage = require('./memory-storage');
+const { version } = require('./package.json');
+
+// Storage keys
+const JOURNAL_KEY = 'awakening-journal.json';
+const SHUTDOWN_MARKER_KEY = 'shutdown-marker.json';
+
+// Signals that count as a clean shutdown
+const CLEAN_SHUTDOWN_REASONS = ['SIGTERM', 'SIGINT'];
+
+// Tail of the append queue; appends are chained so none are lost
+let appendQueue = Promise.resolve();
+
+/**
+ * Read all journal entries, oldest first
+ * @returns {Promise<Object[]>} Journal entries
+ */
+async function readJournal() {
+  const content = await memoryStorage.getStorage().read(JOURNAL_KEY);
+  return content ? JSON.parse(content) : [];
+}
+
+/**
+ * Append to the journal after the appends already queued (existing entries
+ * are never changed). The entries are chosen against the journal as it is
+ * at that point, so nothing can be appended in between.
+ * @param {Function} select - Given the current journal, returns the entries to append
+ * @returns {Promise<Object[]>} The entries appended
+ */
+function appendSelected(select) {
+  const result = appendQueue.then(async () => {
+    const journal = await readJournal();
+    const entries = select(journal);
+
+    if (entries.length > 0) {
+      await memoryStorage.getStorage().write(JOURNAL_KEY, JSON.stringify([...journal, ...entries], null, 2));
+    }
+
+    return entries;
+  });
+  appendQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Append entries to the journal
+ * @param {Object[]} entries - Entries to append
+ * @returns {Promise<void>}
+ */
+async function appendEntries(entries) {
+  await appendSelected(() => entries);
+}
+
+/**
+ * Record that the process is shutting down
+ * @param {string} reason - 'SIGTERM', 'SIGINT' or 'uncaughtException'
+ * @param {Error} error - The error, for uncaught exceptions (optional)
+ */
+async function markShutdown(reason, error = null) {
+  try {
+    const marker = {
+      reason,
+      at: new Date().toISOString(),
+      pid: process.pid,
+      uptime: process.uptime()
+    };
+
+    if (error) {
+      marker.error = error.message;
+    }
+
+    await memoryStorage.getStorage().write(SHUTDOWN_MARKER_KEY, JSON.stringify(marker, null, 2));
+  } catch (markerError) {
+    logger.error(`Failed to write shutdown marker: ${markerError.message}`);
+  }
+}
+
+/**
+ * Classify how the previous run ended from its shutdown marker
+ * @param {Object|null} marker - Shutdown marker left by the previous run
+ * @returns {Object} Previous shutdown as { type, reason, at, error }
+ */
+function classifyShutdown(marker) {
+  if (!marker) {
+    return { type: 'crash', reason: 'no-shutdown-marker', at: null };
+  }
+
+  return {
+    type: CLEAN_SHUTDOWN_REASONS.includes(marker.reason) ? 'clean' : 'crash',
+    reason: marker.reason,
+    at: marker.at,
+    error: marker.error
+  };
+}
+
+/**
+ * Record an awakening. Call once per boot, after the memory core is loaded.
+ * @param {Object|null} previous - The memory core as the previous run left it, or null on first boot
+ * @param {number} awakeningCount - Awakening number of this boot
+ * @returns {Promise<Object>} The journal entry
+ */
+async function recordAwakening(previous, awakeningCount) {
+  const storage = memoryStorage.getStorage();
+  const markerContent = await storage.read(SHUTDOWN_MARKER_KEY);
+  const marker = markerContent ? JSON.parse(markerContent) : null;
+
+  const now = new Date();
+  const entry = {
+    awakening: awakeningCount,
+    at: now.toISOString(),
+    host: os.hostname(),
+    pid: process.pid,
+    version,
+    nodeVersion: process.version,
+    previousLastPing: previous ? previous.lastPing || null : null,
+    downtimeMs: null,
+    previousShutdown: previous ? classifyShutdown(marker) : { type: 'first-boot', reason: null, at: null }
+  };
+
+  // Downtime runs from the last sign of life: the shutdown marker, else the last ping
+  const lastSeen = (marker && marker.at) || entry.previousLastPing || (previous && previous.lastAwakening);
+  if (previous && lastSeen) {
+    entry.downtimeMs = Math.max(0, now.getTime() - new Date(lastSeen).getTime());
+  }
+
+  await appendEntries([entry]);
+  await storage.remove(SHUTDOWN_MARKER_KEY);
+
+  const level = entry.previousShutdown.type === 'crash' ? 'warn' : 'info';
+  logger[level](`Awakening #${awakeningCount} recorded (previous run: ${entry.previousShutdown.type}${entry.previousShutdown.reason ? `, ${entry.previousShutdown.reason}` : ''})`);
+
+  return entry;
+}
+
+/**
+ * Query the journal
+ * @param {Object} options - Query options
+ * @param {string} options.type - Only entries whose previous shutdown was this type: clean, crash or first-boot (optional)
+ * @param {string} options.since - Only entries at or after this ISO date (optional)
+ * @param {string} options.until - Only entries at or before this ISO date (optional)
+ * @param {number} options.limit - Maximum entries to return, newest first (default: 50)
+ * @returns {Promise<Object>} Matching entries and a summary of all of them
+ */
+async function queryJournal(options = {}) {
+  const limit = options.limit || 50;
+
+  const entries = (await readJournal())
+    .filter(entry =>
+      (!options.type || entry.previousShutdown.type === options.type) &&
+      (!options.since || entry.at >= options.since) &&
+      (!options.until || entry.at <= options.until)
+    )
+    .sort((a, b) => a.at.localeCompare(b.at));
+
+  const downtimes = entries.map(entry => entry.downtimeMs).filter(downtime => downtime !== null);
+  const totalDowntimeMs = downtimes.reduce((sum, downtime) => sum + downtime, 0);
+
+  return {
+    summary: {
+      awakenings: entries.length,
+      cleanShutdowns: entries.filter(entry => entry.previousShutdown.type === 'clean').length,
+      crashes: entries.filter(entry => entry.previousShutdown.type === 'crash').length,
+      totalDowntimeMs,
+      averageDowntimeMs: downtimes.length > 0 ? Math.round(totalDowntimeMs / downtimes.length) : null,
+      longestDowntimeMs: downtimes.length > 0 ? Math.max(...downtimes) : null
+    },
+    entries: entries.slice(-limit).reverse()
+  };
+}
+
+/**
+ * Add entries from another journal (e.g. an imported bundle), skipping ones already present
+ * @param {Object[]} entries - Journal entries
+ * @returns {Promise<number>} Number of entries added
+ */
+async function mergeEntries(entries) {
+  const additions = await appendSelected(journal => {
+    const existing = new Set(journal.map(entry => `${entry.host}|${entry.at}`));
+    return entries
+      .filter(entry => !existing.has(`${entry.host}|${entry.at}`))
+      .sort((a, b) => a.at.localeCompare(b.at));
+  });
+
+  return additions.length;
+}
+
+module.exports = {
+  readJournal,
+  markShutdown,
+  recordAwakening,
+  queryJournal,
+  mergeEntries
+};
@@ -5,36 +5,61 @@ const CLICKUP_API_BASE = 'https://api.clickup.com/api/v2';
 const CLICKUP_TOKEN = process.env.CLICKUP_API_TOKEN;
 const CLICKUP_WORKSPACE_ID = process.env.CLICKUP_WORKSPACE_ID;
 
-async function getClickUpTeams() {
+// Requests take an optional { signal } to cancel them; a cancelled request
+// throws instead of returning null like other failures
+async function getClickUpTeams(options = {}) {
   try {
     const res = await axios.get(`${CLICKUP_API_BASE}/team`, {
-      headers: { Authorization: CLICKUP_TOKEN }
+      headers: { Authorization: CLICKUP_TOKEN },
+      signal: options.signal
     });
     return res.data.teams;
   } catch (err) {
+    if (axios.isCancel(err)) throw err;
     console.error('Failed to get ClickUp teams:', err.message);
     return null;
   }
 }
 
-async function createTask(listId, taskName, taskDesc = '') {
+async function createTask(listId, taskName, taskDesc = '', options = {}) {
   try {
     const res = await axios.post(`${CLICKUP_API_BASE}/list/${listId}/task`, {
       name: taskName,
       description: taskDesc
     }, {
-      headers: { Authorization: CLICKUP_TOKEN }
+      headers: { Authorization: CLICKUP_TOKEN },
+      signal: options.signal
     });
 
     return res.data;
   } catch (err) {
+    if (axios.isCancel(err)) throw err;
     console.error('ClickUp Task Creation Failed:', err.response?.data || err.message);
     return null;
   }
 }
 
-async function testClickupConnection() {
-  const teams = await getClickUpTeams();
+async function updateTask(taskId, fields, options = {}) {
+  try {
+    const res = await axios.put(`${CLICKUP_API_BASE}/task/${taskId}`, fields, {
+      headers: { Authorization: CLICKUP_TOKEN },
+      signal: options.signal
+    });
+
+    return res.data;
+  } catch (err) {
+    if (axios.isCancel(err)) throw err;
+    console.error('ClickUp Task Update Failed:', err.response?.data || err.message);
+    return null;
+  }
+}
+
+async function closeTask(taskId, status = 'complete', options = {}) {
+  return updateTask(taskId, { status }, options);
+}
+
+async function testClickupConnection(options = {}) {
+  const teams = await getClickUpTeams(options);
   if (teams && teams.length > 0) {
     return { success: true, teams };
   } else {
@@ -72,6 +97,8 @@ async function syncTasks() {
 module.exports = {
   getClickUpTeams,
   createTask,
+  updateTask,
+  closeTask,
   testClickupConnection,
   getTasks,
   syncTasks  // Make sure syncTasks is exported here
@@ -0,0 +1,293 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * clickup-mirror.js - Mirrors indexed Google Drive files as ClickUp tasks
+ *
+ * Files come from the Drive index (the tracked folder tree, kept current by
+ * drive-sync), optionally narrowed to a tag or a folder. Each mirrored file
+ * is mapped to its task in memory storage (clickup-mirror.json), so a rerun
+ * updates the task when the file was renamed or modified instead of
+ * creating another one. When a mapped file leaves the index (deleted,
+ * trashed or moved out of the tree) its task is closed; if the file comes
+ * back, the task is reopened.
+ */
+
+const logger = require('./logger');
+const memoryStorage = require('./memory-storage');
+const driveIndex = require('./drive-index');
+const clickupManager = require('./clickup-manager');
+
+// Storage key
+const MAPPING_KEY = 'clickup-mirror.json';
+
+// Mirror settings
+const LIST_ID = process.env.CLICKUP_MIRROR_LIST_ID;
+const MIRROR_TAG = process.env.CLICKUP_MIRROR_TAG;
+const CLOSED_STATUS = process.env.CLICKUP_MIRROR_CLOSED_STATUS || 'complete';
+const OPEN_STATUS = process.env.CLICKUP_MIRROR_OPEN_STATUS || 'to do';
+
+// The mirror run in progress, if any, as { key, listId, promise }; callers
+// asking for the same run share it
+let runningMirror = null;
+
+/**
+ * Read the file-to-task mapping
+ * @returns {Promise<Object>} Mapping entries keyed by Drive file id
+ */
+async function readMapping() {
+  const content = await memoryStorage.getStorage().read(MAPPING_KEY);
+  return content ? JSON.parse(content) : {};
+}
+
+/**
+ * Count the files whose tasks are open
+ * @returns {Promise<number>} Number of mirrored files
+ */
+async function countMirrored() {
+  return Object.values(await readMapping()).filter(entry => !entry.closedAt).length;
+}
+
+/**
+ * Check whether an indexed file sits anywhere below a folder
+ * @param {Object} files - Index entries keyed by id
+ * @param {Object} entry - Index entry
+ * @param {string} folderId - Folder ID
+ * @returns {boolean} Whether the file is below the folder
+ */
+function isBelow(files, entry, folderId) {
+  const pending = [...entry.parents];
+  const seen = new Set();
+
+  while (pending.length > 0) {
+    const parentId = pending.pop();
+    if (parentId === folderId) return true;
+    if (seen.has(parentId) || !files[parentId]) continue;
+
+    seen.add(parentId);
+    pending.push(...files[parentId].parents);
+  }
+
+  return false;
+}
+
+/**
+ * Describe a file for its task
+ * @param {Object} entry - Index entry
+ * @returns {Object} Task fields as { name, description }
+ */
+function taskFields(entry) {
+  return {
+    name: entry.name,
+    description: [
+      `Google Drive file: https://drive.google.com/file/d/${entry.id}/view`,
+      `Type: ${entry.mimeType}`,
+      `Last modified: ${entry.modifiedTime}`
+    ].join('\n')
+  };
+}
+
+/**
+ * Work out what a mirror run has to do
+ * @param {Object} index - Drive index
+ * @param {Object} mapping - File-to-task mapping
+ * @param {Object} options - Mirror options (tag, folderId)
+ * @returns {Object} Planned creates, updates, reopens and closes, and the number of unchanged tasks
+ */
+function planMirror(index, mapping, options) {
+  const plan = { creates: [], updates: [], reopens: [], closes: [], unchanged: 0 };
+
+  const selected = Object.values(index.files).filter(entry =>
+    entry.mimeType !== driveIndex.FOLDER_MIME_TYPE &&
+    (!options.tag || (entry.tags || []).includes(options.tag)) &&
+    (!options.folderId || isBelow(index.files, entry, options.folderId))
+  );
+
+  for (const entry of selected) {
+    const mapped = mapping[entry.id];
+
+    if (!mapped) {
+      plan.creates.push({ fileId: entry.id, name: entry.name });
+    } else if (mapped.closedAt) {
+      plan.reopens.push({ fileId: entry.id, taskId: mapped.taskId, name: entry.name });
+    } else if (mapped.name !== entry.name || mapped.modifiedTime !== entry.modifiedTime) {
+      const changes = [];
+      if (mapped.name !== entry.name) changes.push('name');
+      if (mapped.modifiedTime !== entry.modifiedTime) changes.push('modifiedTime');
+      plan.updates.push({ fileId: entry.id, taskId: mapped.taskId, name: entry.name, changes });
+    } else {
+      plan.unchanged++;
+    }
+  }
+
+  // Only files gone from Drive are closed; ones that merely fall outside
+  // this run's tag or folder filter keep their task
+  for (const [fileId, mapped] of Object.entries(mapping)) {
+    if (!mapped.closedAt && !index.files[fileId]) {
+      plan.closes.push({ fileId, taskId: mapped.taskId, name: mapped.name });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Carry out a mirror plan, updating the mapping as tasks change
+ * @param {Object} plan - Plan from planMirror
+ * @param {Object} index - Drive index
+ * @param {Object} mapping - File-to-task mapping, updated in place
+ * @param {string} listId - ClickUp list new tasks go to
+ * @param {AbortSignal} signal - Stops the run between tasks; the mapping keeps what was done (optional)
+ * @returns {Promise<Object[]>} Failures as { fileId, action, error }
+ */
+async function applyPlan(plan, index, mapping, listId, signal) {
+  const errors = [];
+  const now = () => new Date().toISOString();
+  const checkCancelled = () => {
+    if (signal && signal.aborted) {
+      throw signal.reason || new Error('Mirroring cancelled');
+    }
+  };
+
+  const remember = (entry, taskId) => {
+    mapping[entry.id] = {
+      taskId,
+      listId: mapping[entry.id] ? mapping[entry.id].listId : listId,
+      name: entry.name,
+      modifiedTime: entry.modifiedTime,
+      mirroredAt: now()
+    };
+  };
+
+  for (const { fileId } of plan.creates) {
+    const entry = index.files[fileId];
+    const { name, description } = taskFields(entry);
+    checkCancelled();
+    const task = await clickupManager.createTask(listId, name, description, { signal });
+
+    if (task) {
+      remember(entry, task.id);
+    } else {
+      errors.push({ fileId, action: 'create', error: 'ClickUp task creation failed' });
+    }
+  }
+
+  for (const { fileId, taskId } of plan.updates) {
+    const entry = index.files[fileId];
+    checkCancelled();
+
+    if (await clickupManager.updateTask(taskId, taskFields(entry), { signal })) {
+      remember(entry, taskId);
+    } else {
+      errors.push({ fileId, action: 'update', error: 'ClickUp task update failed' });
+    }
+  }
+
+  for (const { fileId, taskId } of plan.reopens) {
+    const entry = index.files[fileId];
+    checkCancelled();
+
+    if (await clickupManager.updateTask(taskId, { ...taskFields(entry), status: OPEN_STATUS }, { signal })) {
+      remember(entry, taskId);
+    } else {
+      errors.push({ fileId, action: 'reopen', error: 'ClickUp task update failed' });
+    }
+  }
+
+  for (const { fileId, taskId } of plan.closes) {
+    checkCancelled();
+
+    if (await clickupManager.closeTask(taskId, CLOSED_STATUS, { signal })) {
+      mapping[fileId].closedAt = now();
+    } else {
+      errors.push({ fileId, action: 'close', error: 'ClickUp task update failed' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Mirror indexed Drive files to ClickUp
+ * @param {Object} options - Mirror options
+ * @param {string} options.listId - ClickUp list for new tasks (default: CLICKUP_MIRROR_LIST_ID)
+ * @param {string} options.tag - Only mirror files with this tag (default: CLICKUP_MIRROR_TAG, if set)
+ * @param {string} options.folderId - Only mirror files below this folder (optional)
+ * @param {boolean} options.dryRun - Report the planned creates, updates and closes without making them
+ * @param {AbortSignal} options.signal - Cancellation signal (optional)
+ * @returns {Promise<Object>} Mirror report; rejects with code EBUSY while a run with other options is in progress
+ */
+function mirrorFiles(options = {}) {
+  const listId = options.listId || LIST_ID;
+  const tag = options.tag || MIRROR_TAG;
+  const key = JSON.stringify({ listId, tag, folderId: options.folderId });
+
+  if (runningMirror && !options.dryRun) {
+    if (runningMirror.key === key) {
+      return runningMirror.promise;
+    }
+
+    const error = new Error(`A ClickUp mirror run to list ${runningMirror.listId} with other options is already in progress`);
+    error.code = 'EBUSY';
+    return Promise.reject(error);
+  }
+
+  const run = (async () => {
+    if (!listId) {
+      throw new Error('No ClickUp list to mirror to; set CLICKUP_MIRROR_LIST_ID or pass a listId');
+    }
+
+    const index = await driveIndex.readIndex();
+    if (!index) {
+      throw new Error('The Drive index has not been synced yet');
+    }
+
+    const mapping = await readMapping();
+    const plan = planMirror(index, mapping, { tag, folderId: options.folderId });
+
+    if (options.dryRun) {
+      return { dryRun: true, listId, ...plan };
+    }
+
+    let errors;
+    try {
+      errors = await applyPlan(plan, index, mapping, listId, options.signal);
+    } finally {
+      // Keep what did get mirrored, so a rerun does not duplicate it
+      await memoryStorage.getStorage().write(MAPPING_KEY, JSON.stringify(mapping));
+    }
+
+    const report = {
+      dryRun: false,
+      listId,
+      created: plan.creates.length - errors.filter(error => error.action === 'create').length,
+      updated: plan.updates.length - errors.filter(error => error.action === 'update').length,
+      reopened: plan.reopens.length - errors.filter(error => error.action === 'reopen').length,
+      closed: plan.closes.length - errors.filter(error => error.action === 'close').length,
+      unchanged: plan.unchanged,
+      errors
+    };
+
+    logger.info(`Drive files mirrored to ClickUp: ${report.created} created, ${report.updated} updated, ${report.reopened} reopened, ${report.closed} closed`);
+    if (errors.length > 0) {
+      logger.warn(`ClickUp mirroring failed for ${errors.length} files`);
+    }
+
+    return report;
+  })();
+
+  if (options.dryRun) {
+    return run;
+  }
+
+  const promise = run.finally(() => {
+    runningMirror = null;
+  });
+
+  runningMirror = { key, listId, promise };
+  return promise;
+}
+
+module.exports = {
+  readMapping,
+  countMirrored,
+  mirrorFiles
+};
@@ -0,0 +1,204 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * drive-analysis.js - Duplicate, stale and orphaned file detection
+ *
+ * An analysis scans one or more folders and reports:
+ * - Duplicates: files with the same md5Checksum and size. Files without a
+ *   checksum (Google Docs and the like) are grouped by name, type and size
+ *   as possible duplicates, which are not counted as reclaimable.
+ * - Stale files: files not modified in the last N days
+ * - Orphans: files you own that have no parent folder, which no folder
+ *   scan can reach (found with a separate listing of the whole drive)
+ *
+ * Reclaimable space counts only the extra copies of exact duplicates (every
+ * copy but the most recently modified one), which can go without losing
+ * anything. Stale and orphaned files may still be wanted, so their sizes are
+ * reported as separate figures.
+ * Trashed files are left out of every finding: Drive already counts them
+ * as deleted, and neither the folder scans nor the orphan listing return them.
+ */
+
+const logger = require('./logger');
+const driveManager = require('./drive-manager');
+const scanFormats = require('./drive-scan-formats');
+
+// Default age, in days, after which a file counts as stale
+const STALE_DAYS = process.env.DRIVE_STALE_DAYS ? parseInt(process.env.DRIVE_STALE_DAYS) : 365;
+
+const DAY_MS = 86400000;
+
+/**
+ * Reduce a scanned file to what the analysis reports
+ * @param {Object} row - Row from scanFormats.flatten
+ * @returns {Object} File as { id, path, name, mimeType, size, modifiedTime }
+ */
+function toFile(row) {
+  return {
+    id: row.id,
+    path: row.path,
+    name: row.path.slice(row.path.lastIndexOf('/') + 1),
+    mimeType: row.mimeType,
+    size: row.size,
+    modifiedTime: row.modifiedTime
+  };
+}
+
+/**
+ * Group files that look like copies of each other
+ * @param {Object[]} files - Files to group
+ * @returns {Object[]} Groups as { match, md5Checksum, size, keep, files, reclaimableBytes }, largest saving first
+ */
+function findDuplicates(files) {
+  const groups = new Map();
+
+  for (const file of files) {
+    const key = file.md5Checksum
+      ? `checksum:${file.md5Checksum}:${file.size}`
+      : `name:${file.name}:${file.mimeType}:${file.size}`;
+
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(file);
+  }
+
+  return [...groups.values()]
+    .filter(group => group.length > 1)
+    .map(group => {
+      // The most recently modified copy is the one to keep
+      const ordered = [...group].sort((a, b) => (b.modifiedTime || '').localeCompare(a.modifiedTime || ''));
+      const exact = Boolean(group[0].md5Checksum);
+
+      return {
+        match: exact ? 'checksum' : 'name',
+        md5Checksum: group[0].md5Checksum || null,
+        size: group[0].size,
+        keep: ordered[0].id,
+        files: ordered.map(({ md5Checksum, ...file }) => file),
+        reclaimableBytes: exact ? (group[0].size || 0) * (group.length - 1) : 0
+      };
+    })
+    .sort((a, b) => b.reclaimableBytes - a.reclaimableBytes || b.files.length - a.files.length);
+}
+
+/**
+ * List the files you own that have no parent folder
+ * @returns {Promise<Object[]>} Orphaned files
+ */
+async function findOrphans() {
+  const orphans = [];
+
+  for await (const file of driveManager.iterateFiles({ query: "'me' in owners and trashed = false" })) {
+    if (!file.parents || file.parents.length === 0) {
+      orphans.push({
+        id: file.id,
+        path: file.name,
+        name: file.name,
+        mimeType: file.mimeType,
+        size: file.size !== undefined ? Number(file.size) : null,
+        modifiedTime: file.modifiedTime
+      });
+    }
+  }
+
+  return orphans;
+}
+
+/**
+ * Add up file sizes
+ * @param {Object[]} files - Files
+ * @returns {number} Total size in bytes
+ */
+function totalSize(files) {
+  return files.reduce((sum, file) => sum + (file.size || 0), 0);
+}
+
+/**
+ * Analyze folders for duplicates, stale files and orphans
+ * @param {Object} options - Analysis options
+ * @param {string[]} options.folderIds - Folders to scan
+ * @param {number} options.depth - Scan depth for each folder (default: 2)
+ * @param {number} options.staleDays - Days without changes after which a file is stale (default: DRIVE_STALE_DAYS or 365)
+ * @param {boolean} options.orphans - Also list the whole drive for orphaned files
+ * @returns {Promise<Object>} Findings grouped by kind, with the space that could be reclaimed
+ */
+async function analyze(options = {}) {
+  const staleDays = options.staleDays || STALE_DAYS;
+  const startedAt = Date.now();
+
+  const folders = [];
+  const errors = [];
+  const filesById = new Map();
+
+  // Folders are scanned side by side; the Drive request budget still applies
+  const scans = await Promise.all(options.folderIds.map(folderId => driveManager.scanFolder(folderId, options.depth || 2)));
+
+  options.folderIds.forEach((folderId, i) => {
+    const scan = scans[i];
+    errors.push(...scan.errors);
+
+    if (!scan.folder) {
+      folders.push({ folderId, name: null, complete: false });
+      return;
+    }
+
+    folders.push({ folderId, name: scan.folder.name, complete: scan.complete });
+
+    // A folder inside another scanned folder is only counted once
+    for (const row of scanFormats.flatten(scan.folder)) {
+      if (row.type === 'file' && !filesById.has(row.id)) {
+        filesById.set(row.id, { ...toFile(row), md5Checksum: row.md5Checksum });
+      }
+    }
+  });
+
+  const files = [...filesById.values()];
+  const duplicateGroups = findDuplicates(files);
+
+  const cutoff = new Date(Date.now() - staleDays * DAY_MS).toISOString();
+  const staleFiles = files
+    .filter(file => file.modifiedTime && file.modifiedTime < cutoff)
+    .map(({ md5Checksum, ...file }) => file)
+    .sort((a, b) => a.modifiedTime.localeCompare(b.modifiedTime));
+
+  const orphanFiles = options.orphans ? await findOrphans() : null;
+
+  const extraCopies = duplicateGroups
+    .filter(group => group.match === 'checksum')
+    .reduce((sum, group) => sum + group.files.length - 1, 0);
+  const reclaimableBytes = duplicateGroups.reduce((sum, group) => sum + group.reclaimableBytes, 0);
+  const staleBytes = totalSize(staleFiles);
+
+  logger.info(`Drive analysis: ${files.length} files, ${duplicateGroups.length} duplicate groups, ${scanFormats.formatSize(reclaimableBytes)} reclaimable, ${staleFiles.length} stale (${scanFormats.formatSize(staleBytes)})${orphanFiles ? `, ${orphanFiles.length} orphans` : ''}`);
+
+  return {
+    folders,
+    errors,
+    complete: errors.length === 0,
+    scanned: { files: files.length, bytes: totalSize(files) },
+    duplicates: {
+      groups: duplicateGroups,
+      files: duplicateGroups.reduce((sum, group) => sum + group.files.length, 0),
+      reclaimableBytes
+    },
+    stale: {
+      days: staleDays,
+      files: staleFiles,
+      bytes: staleBytes,
+      size: scanFormats.formatSize(staleBytes)
+    },
+    orphans: orphanFiles
+      ? { checked: true, files: orphanFiles, bytes: totalSize(orphanFiles) }
+      : { checked: false, files: [], bytes: 0 },
+    reclaimable: {
+      files: extraCopies,
+      bytes: reclaimableBytes,
+      size: scanFormats.formatSize(reclaimableBytes)
+    },
+    durationMs: Date.now() - startedAt
+  };
+}
+
+module.exports = {
+  STALE_DAYS,
+  findDuplicates,
+  analyze
+};
@@ -0,0 +1,386 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * drive-backup.js - Incremental local mirror of a Google Drive folder
+ *
+ * A backup copies a folder tree into DRIVE_BACKUP_PATH (default
+ * drive-backup/), keeping the Drive folder structure. Google Docs, Sheets
+ * and Slides are exported (docx, pdf or markdown; xlsx or csv; pdf or pptx);
+ * other Google Workspace files (Forms, shortcuts...) cannot be exported and
+ * are skipped. A manifest (.drive-manifest.json) records what each local
+ * file was copied from. Later runs skip files whose checksum (or, for
+ * exports, modifiedTime) has not changed. Files removed from Drive keep
+ * their local copy unless the backup is run with prune.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const driveManager = require('./drive-manager');
+
+// Backup location and manifest
+const BACKUP_PATH = process.env.DRIVE_BACKUP_PATH || path.join(__dirname, 'drive-backup');
+const MANIFEST_NAME = '.drive-manifest.json';
+
+// Downloads in flight at once
+const DOWNLOAD_CONCURRENCY = 4;
+
+// Export formats for each Google Workspace type
+const EXPORT_FORMATS = {
+  docs: {
+    sourceMimeType: 'application/vnd.google-apps.document',
+    formats: {
+      docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: '.docx' },
+      pdf: { mimeType: 'application/pdf', extension: '.pdf' },
+      markdown: { mimeType: 'text/markdown', extension: '.md' }
+    }
+  },
+  sheets: {
+    sourceMimeType: 'application/vnd.google-apps.spreadsheet',
+    formats: {
+      xlsx: { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: '.xlsx' },
+      // CSV holds the first sheet only
+      csv: { mimeType: 'text/csv', extension: '.csv' }
+    }
+  },
+  slides: {
+    sourceMimeType: 'application/vnd.google-apps.presentation',
+    formats: {
+      pdf: { mimeType: 'application/pdf', extension: '.pdf' },
+      pptx: { mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extension: '.pptx' }
+    }
+  }
+};
+
+const DEFAULT_FORMATS = {
+  docs: process.env.DRIVE_BACKUP_DOCS_FORMAT || 'docx',
+  sheets: process.env.DRIVE_BACKUP_SHEETS_FORMAT || 'xlsx',
+  slides: process.env.DRIVE_BACKUP_SLIDES_FORMAT || 'pdf'
+};
+
+const GOOGLE_APPS_PREFIX = 'application/vnd.google-apps.';
+
+// The backup that is running, if any, as { key, folderId, promise };
+// callers asking for the same backup share it
+let runningBackup = null;
+
+/**
+ * Validate export formats
+ * @param {Object} formats - Formats as { docs, sheets, slides } (any may be omitted)
+ * @returns {string|null} Error message, or null if the formats are valid
+ */
+function validateFormats(formats = {}) {
+  for (const [kind, format] of Object.entries(formats)) {
+    if (format === undefined) continue;
+
+    if (!EXPORT_FORMATS[kind]) {
+      return `Unknown export kind: ${kind} (use docs, sheets or slides)`;
+    }
+    if (!EXPORT_FORMATS[kind].formats[format]) {
+      return `${kind} can be exported as ${Object.keys(EXPORT_FORMATS[kind].formats).join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read the manifest of a backup
+ * @param {string} targetDir - Backup directory (default: DRIVE_BACKUP_PATH)
+ * @returns {Promise<Object|null>} Manifest, or null if there is no backup yet
+ */
+async function readManifest(targetDir = BACKUP_PATH) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(targetDir, MANIFEST_NAME), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Make a Drive name safe to use as a local file name
+ * @param {string} name - Drive file or folder name
+ * @returns {string} Local name
+ */
+function safeName(name) {
+  const cleaned = name.replace(/[\/\\:*?"<>|\x00-\x1f]/g, '_').replace(/[. ]+$/, '');
+  return cleaned && cleaned !== '.' && cleaned !== '..' ? cleaned : '_';
+}
+
+/**
+ * Decide where each file of a scanned tree goes and how to copy it
+ * @param {Object} folder - Root folder of a scan
+ * @param {Object} formats - Export formats as { docs, sheets, slides }
+ * @returns {Object} Plan as { files, skipped }; paths are relative to the backup directory
+ */
+function planFiles(folder, formats) {
+  const files = [];
+  const skipped = [];
+
+  const exportFor = mimeType => {
+    const kind = Object.keys(EXPORT_FORMATS).find(key => EXPORT_FORMATS[key].sourceMimeType === mimeType);
+    return kind ? { format: formats[kind], ...EXPORT_FORMATS[kind].formats[formats[kind]] } : null;
+  };
+
+  const visit = (node, dir) => {
+    // Names are unique per directory, ignoring case; later clashes get the file ID appended
+    const used = new Set(dir === '' ? [MANIFEST_NAME.toLowerCase()] : []);
+    const claim = (name, id) => {
+      let candidate = name;
+      if (used.has(candidate.toLowerCase())) {
+        const extension = path.extname(name);
+        candidate = `${name.slice(0, name.length - extension.length)} (${id})${extension}`;
+      }
+      used.add(candidate.toLowerCase());
+      return candidate;
+    };
+
+    for (const child of node.children || []) {
+      if (child.type === 'folder') {
+        visit(child, path.posix.join(dir, claim(safeName(child.name), child.id)));
+        continue;
+      }
+
+      const exported = exportFor(child.mimeType);
+      if (!exported && child.mimeType.startsWith(GOOGLE_APPS_PREFIX)) {
+        skipped.push({ id: child.id, path: path.posix.join(dir, child.name), reason: 'not-exportable' });
+        continue;
+      }
+
+      let name = safeName(child.name);
+      if (exported && path.extname(name).toLowerCase() !== exported.extension) {
+        name += exported.extension;
+      }
+
+      files.push({
+        file: child,
+        path: path.posix.join(dir, claim(name, child.id)),
+        exportMimeType: exported ? exported.mimeType : null,
+        format: exported ? exported.format : null
+      });
+    }
+  };
+
+  visit(folder, '');
+  return { files, skipped };
+}
+
+/**
+ * Check whether a local copy is still current
+ * @param {Object} previous - The file's manifest entry from the last backup
+ * @param {Object} planned - Planned copy from planFiles
+ * @param {string} targetDir - Backup directory
+ * @returns {Promise<boolean>} Whether the copy can be skipped
+ */
+async function isUnchanged(previous, planned, targetDir) {
+  if (!previous || previous.removedAt || previous.path !== planned.path || previous.format !== planned.format) {
+    return false;
+  }
+
+  // Exports have no checksum; their modified time has to do
+  const same = planned.file.md5Checksum && previous.md5Checksum
+    ? planned.file.md5Checksum === previous.md5Checksum
+    : planned.file.modifiedTime === previous.modifiedTime;
+  if (!same) return false;
+
+  try {
+    await fs.access(path.join(targetDir, planned.path));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Run tasks with a limited number in flight
+ * @param {Object[]} items - Items to process
+ * @param {Function} worker - Async function run for each item
+ * @param {AbortSignal} signal - Stops taking new items once aborted (optional)
+ */
+async function runPool(items, worker, signal) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(DOWNLOAD_CONCURRENCY, items.length) }, async () => {
+    while (next < items.length && !(signal && signal.aborted)) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Write the manifest, replacing the old one only once the new one is complete
+ * @param {string} targetDir - Backup directory
+ * @param {Object} manifest - Manifest to write
+ */
+async function writeManifest(targetDir, manifest) {
+  const manifestPath = path.join(targetDir, MANIFEST_NAME);
+  await fs.writeFile(`${manifestPath}.partial`, JSON.stringify(manifest, null, 2));
+  await fs.rename(`${manifestPath}.partial`, manifestPath);
+}
+
+/**
+ * Back up a Drive folder tree to a local directory
+ * @param {Object} options - Backup options
+ * @param {string} options.folderId - Folder to back up
+ * @param {string} options.targetDir - Local directory (default: DRIVE_BACKUP_PATH)
+ * @param {Object} options.formats - Export formats as { docs, sheets, slides } (default: DRIVE_BACKUP_*_FORMAT)
+ * @param {boolean} options.prune - Delete local copies of files no longer in Drive
+ * @param {AbortSignal} options.signal - Cancels the backup; copies finished so far are kept in the manifest (optional)
+ * @returns {Promise<Object>} Backup summary; rejects with code EBUSY while a backup with other options is running
+ */
+function backupFolder(options = {}) {
+  const targetDir = options.targetDir || BACKUP_PATH;
+  const formats = { ...DEFAULT_FORMATS };
+  for (const [kind, format] of Object.entries(options.formats || {})) {
+    if (format !== undefined) formats[kind] = format;
+  }
+
+  // Only a caller asking for the same backup may share the running one
+  const key = JSON.stringify({ folderId: options.folderId, targetDir, formats, prune: Boolean(options.prune) });
+  if (runningBackup) {
+    if (runningBackup.key === key) {
+      return runningBackup.promise;
+    }
+
+    const error = new Error(`A backup of folder ${runningBackup.folderId} with other options is already running`);
+    error.code = 'EBUSY';
+    return Promise.reject(error);
+  }
+
+  const promise = (async () => {
+    const startedAt = new Date();
+
+    const formatError = validateFormats(formats);
+    if (formatError) {
+      throw new Error(formatError);
+    }
+
+    const { signal } = options;
+    const scan = await driveManager.scanFolder(options.folderId, Infinity, { signal });
+    if (!scan.folder) {
+      throw new Error(`Could not read folder ${options.folderId}${scan.errors.length > 0 ? `: ${scan.errors[0].error}` : ''}`);
+    }
+
+    await fs.mkdir(targetDir, { recursive: true });
+    const previous = await readManifest(targetDir);
+
+    // A backup of another folder starts afresh
+    const previousFiles = previous && previous.folderId === scan.folder.id ? previous.files : {};
+    const files = { ...previousFiles };
+    const { files: planned, skipped } = planFiles(scan.folder, formats);
+    const errors = scan.errors.map(error => ({ id: error.folderId, path: error.name || null, error: error.error }));
+    const counts = { downloaded: 0, exported: 0, unchanged: 0, removed: 0, pruned: 0, bytes: 0 };
+
+    // Old copies are only deleted where no file of this backup now lives
+    const plannedPaths = new Set(planned.map(copy => copy.path));
+
+    await runPool(planned, async copy => {
+      const entry = previousFiles[copy.file.id];
+
+      if (await isUnchanged(entry, copy, targetDir)) {
+        counts.unchanged++;
+        return;
+      }
+
+      try {
+        // A download that fails its checksum leaves the previous copy in place
+        const result = await driveManager.downloadFile(copy.file.id, path.join(targetDir, copy.path), {
+          exportMimeType: copy.exportMimeType,
+          md5Checksum: copy.file.md5Checksum,
+          signal
+        });
+
+        // A renamed or moved file leaves its old copy behind
+        if (entry && entry.path !== copy.path && !plannedPaths.has(entry.path)) {
+          await fs.rm(path.join(targetDir, entry.path), { force: true });
+        }
+
+        files[copy.file.id] = {
+          path: copy.path,
+          name: copy.file.name,
+          mimeType: copy.file.mimeType,
+          size: copy.file.size,
+          modifiedTime: copy.file.modifiedTime,
+          md5Checksum: copy.file.md5Checksum,
+          format: copy.format,
+          exportMimeType: copy.exportMimeType,
+          bytes: result.bytes,
+          backedUpAt: new Date().toISOString()
+        };
+
+        counts[copy.exportMimeType ? 'exported' : 'downloaded']++;
+        counts.bytes += result.bytes;
+      } catch (error) {
+        if (signal && signal.aborted) return;
+        errors.push({ id: copy.file.id, path: copy.path, error: error.message });
+      }
+    }, signal);
+
+    const cancelled = Boolean(signal && signal.aborted);
+
+    // Files missing from a partial scan may just be in a folder that failed,
+    // and a cancelled backup has not looked at every file
+    if (scan.complete && !cancelled) {
+      const present = new Set(planned.map(copy => copy.file.id));
+
+      for (const [id, entry] of Object.entries(files)) {
+        if (present.has(id)) continue;
+
+        if (options.prune) {
+          if (!plannedPaths.has(entry.path)) {
+            await fs.rm(path.join(targetDir, entry.path), { force: true });
+          }
+          delete files[id];
+          counts.pruned++;
+        } else if (!entry.removedAt) {
+          entry.removedAt = startedAt.toISOString();
+          counts.removed++;
+        }
+      }
+    }
+
+    const completedAt = new Date();
+    await writeManifest(targetDir, {
+      folderId: scan.folder.id,
+      folderName: scan.folder.name,
+      formats,
+      startedAt: startedAt.toISOString(),
+      completedAt: completedAt.toISOString(),
+      complete: errors.length === 0 && !cancelled,
+      files,
+      skipped,
+      errors
+    });
+
+    if (cancelled) {
+      throw signal.reason || new Error('Backup cancelled');
+    }
+
+    const summary = {
+      targetDir,
+      folderId: scan.folder.id,
+      files: planned.length,
+      ...counts,
+      skipped,
+      errors,
+      complete: errors.length === 0,
+      durationMs: completedAt.getTime() - startedAt.getTime()
+    };
+
+    logger.info(`Drive backup of ${scan.folder.name}: ${counts.downloaded} downloaded, ${counts.exported} exported, ${counts.unchanged} unchanged${errors.length > 0 ? `, ${errors.length} errors` : ''}`);
+    return summary;
+  })().finally(() => {
+    runningBackup = null;
+  });
+
+  runningBackup = { key, folderId: options.folderId, promise };
+  return promise;
+}
+
+module.exports = {
+  BACKUP_PATH,
+  EXPORT_FORMATS,
+  validateFormats,
+  readManifest,
+  backupFolder
+};
@@ -0,0 +1,424 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * drive-index.js - Local index of tracked Google Drive files
+ *
+ * The index holds every file under the tracked root folder (or the whole
+ * drive without one): id, name, parents, mimeType, md5Checksum, size,
+ * modifiedTime and the tags assigned by drive-tagging.js. The first sync
+ * walks the folder tree; later syncs only apply what the Drive changes feed
+ * reports since the stored start page token. The index is kept in memory
+ * storage (drive-index.json); syncs and updates are applied one at a time.
+ */
+
+const logger = require('./logger');
+const memoryStorage = require('./memory-storage');
+const driveManager = require('./drive-manager');
+
+// Storage key
+const INDEX_KEY = 'drive-index.json';
+
+// Folder MIME type
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// Pagination limits
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+// The sync that is running, if any, as { rootFolderId, full, promise, controller, callers, cancelled };
+// callers it also serves share it
+let runningSync = null;
+
+// Tail of the update queue; syncs and updates never interleave
+let indexQueue = Promise.resolve();
+
+/**
+ * Read the index
+ * @returns {Promise<Object|null>} Index as { rootFolderId, startPageToken, fullSyncAt, syncedAt, files }, or null before the first sync
+ */
+async function readIndex() {
+  const content = await memoryStorage.getStorage().read(INDEX_KEY);
+  return content ? JSON.parse(content) : null;
+}
+
+/**
+ * Run an operation on the index after those already queued
+ * @param {Function} operation - Async function to run
+ * @returns {Promise<*>} Result of the operation
+ */
+function enqueue(operation) {
+  const result = indexQueue.then(operation);
+  indexQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Reduce a Drive file to the fields the index keeps
+ * @param {Object} file - Drive file
+ * @param {Object} previous - The file's previous entry, whose tags are kept until the next tagging pass (optional)
+ * @returns {Object} Index entry
+ */
+function toEntry(file, previous) {
+  const entry = {
+    id: file.id,
+    name: file.name,
+    parents: file.parents || [],
+    mimeType: file.mimeType,
+    md5Checksum: file.md5Checksum || null,
+    size: file.size !== undefined ? Number(file.size) : null,
+    modifiedTime: file.modifiedTime
+  };
+
+  if (previous && previous.tags) {
+    entry.tags = previous.tags;
+    entry.syncedTags = previous.syncedTags;
+  }
+
+  return entry;
+}
+
+/**
+ * Map each folder to the ids of the entries directly inside it
+ * @param {Object} files - Index entries keyed by id
+ * @returns {Map<string, Set<string>>} Child ids keyed by parent id
+ */
+function buildChildren(files) {
+  const children = new Map();
+
+  for (const entry of Object.values(files)) {
+    for (const parent of entry.parents) {
+      if (!children.has(parent)) children.set(parent, new Set());
+      children.get(parent).add(entry.id);
+    }
+  }
+
+  return children;
+}
+
+/**
+ * Add or replace an entry, keeping a children map in step
+ * @param {Object} files - Index entries keyed by id, updated in place
+ * @param {Object} entry - Entry to store
+ * @param {Map<string, Set<string>>} children - Map from buildChildren, updated in place (optional)
+ */
+function setEntry(files, entry, children) {
+  if (children) {
+    const previous = files[entry.id];
+    for (const parent of previous ? previous.parents : []) {
+      if (children.has(parent)) children.get(parent).delete(entry.id);
+    }
+    for (const parent of entry.parents) {
+      if (!children.has(parent)) children.set(parent, new Set());
+      children.get(parent).add(entry.id);
+    }
+  }
+
+  files[entry.id] = entry;
+}
+
+/**
+ * Add a folder's contents to the index, descending into subfolders. Sibling
+ * folders are listed side by side, within the Drive request budget.
+ * @param {Object} files - Index entries keyed by id, updated in place
+ * @param {string} folderId - Folder to walk
+ * @param {Object} options - Walk options
+ * @param {Object} options.previousFiles - Entries to carry tags over from (default: files)
+ * @param {Map<string, Set<string>>} options.children - Children map to keep in step (optional)
+ * @param {AbortSignal} options.signal - Cancellation signal (optional)
+ * @returns {Promise<number>} Number of entries added
+ */
+async function walkFolder(files, folderId, options = {}) {
+  const previousFiles = options.previousFiles || files;
+  const walked = new Set();
+  let added = 0;
+
+  const walk = async id => {
+    // A folder with several parents in the tree is only listed once
+    if (walked.has(id)) return;
+    walked.add(id);
+
+    const subfolders = [];
+    for await (const file of driveManager.iterateFiles({ folderId: id, query: 'trashed = false', signal: options.signal })) {
+      if (!files[file.id]) added++;
+      setEntry(files, toEntry(file, previousFiles[file.id]), options.children);
+
+      if (file.mimeType === FOLDER_MIME_TYPE) {
+        subfolders.push(walk(file.id));
+      }
+    }
+
+    await Promise.all(subfolders);
+  };
+
+  await walk(folderId);
+  return added;
+}
+
+/**
+ * Remove an entry and everything below it from the index. Entries that
+ * still have another parent in the index stay.
+ * @param {Object} files - Index entries keyed by id, updated in place
+ * @param {string} id - Entry to remove
+ * @param {Map<string, Set<string>>} children - Map from buildChildren, updated in place
+ * @returns {number} Number of entries removed
+ */
+function removeTree(files, id, children) {
+  const pending = [id];
+  let removed = 0;
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    const entry = files[current];
+    if (!entry) continue;
+
+    delete files[current];
+    for (const parent of entry.parents) {
+      if (children.has(parent)) children.get(parent).delete(current);
+    }
+    removed++;
+
+    for (const childId of children.get(current) || []) {
+      const child = files[childId];
+      if (child && !child.parents.some(parent => files[parent])) {
+        pending.push(childId);
+      }
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Build the index from scratch
+ * @param {string|null} rootFolderId - Folder to track, or null for the whole drive
+ * @param {Object} previousFiles - Entries of the old index, to carry tags over from
+ * @param {AbortSignal} signal - Cancellation signal (optional)
+ * @returns {Promise<Object>} The new index
+ */
+async function fullSync(rootFolderId, previousFiles, signal) {
+  // Take the token first so changes made during the walk are applied next time
+  const startPageToken = await driveManager.getStartPageToken({ signal });
+  const files = {};
+
+  if (rootFolderId) {
+    await walkFolder(files, rootFolderId, { previousFiles, signal });
+  } else {
+    for await (const file of driveManager.iterateFiles({ query: 'trashed = false', signal })) {
+      files[file.id] = toEntry(file, previousFiles[file.id]);
+    }
+  }
+
+  const now = new Date().toISOString();
+  return { rootFolderId, startPageToken, fullSyncAt: now, syncedAt: now, files };
+}
+
+/**
+ * Apply the changes feed to the index
+ * @param {Object} index - Index, updated in place
+ * @param {AbortSignal} signal - Cancellation signal (optional)
+ * @returns {Promise<Object>} Counts of added, updated and removed entries
+ */
+async function applyChanges(index, signal) {
+  const { files, rootFolderId } = index;
+  const counts = { changes: 0, added: 0, updated: 0, removed: 0 };
+  const children = buildChildren(files);
+
+  const inScope = file => !rootFolderId || (file.parents || []).some(parent =>
+    parent === rootFolderId || (files[parent] && files[parent].mimeType === FOLDER_MIME_TYPE));
+
+  for await (const page of driveManager.iterateChanges(index.startPageToken, { signal })) {
+    for (const change of page.changes) {
+      counts.changes++;
+      const file = change.file;
+
+      // Deleted, trashed or moved out of the tracked tree
+      if (change.removed || !file || file.trashed || !inScope(file)) {
+        counts.removed += removeTree(files, change.fileId, children);
+        continue;
+      }
+
+      const isNew = !files[file.id];
+      setEntry(files, toEntry(file, files[file.id]), children);
+      counts[isNew ? 'added' : 'updated']++;
+
+      // A folder moved into the tree brings its contents along
+      if (isNew && rootFolderId && file.mimeType === FOLDER_MIME_TYPE) {
+        counts.added += await walkFolder(files, file.id, { children, signal });
+      }
+    }
+
+    if (page.newStartPageToken) {
+      index.startPageToken = page.newStartPageToken;
+    }
+  }
+
+  index.syncedAt = new Date().toISOString();
+  return counts;
+}
+
+/**
+ * Bring the index up to date: a full walk on first use (or when asked or
+ * when the tracked root changes), otherwise only what changed
+ * @param {Object} options - Sync options
+ * @param {string} options.rootFolderId - Folder to track (default: the whole drive)
+ * @param {boolean} options.full - Rebuild the index from scratch
+ * @param {AbortSignal} options.signal - Stops waiting for the sync; the sync itself is cancelled, leaving the
+ *   stored index as it was, once every caller it serves has cancelled (optional)
+ * @returns {Promise<Object>} Sync summary; rejects with code EBUSY while a sync of another folder, or an
+ *   incremental sync when a full one is asked for, is running
+ */
+function syncIndex(options = {}) {
+  const rootFolderId = options.rootFolderId || null;
+  const full = Boolean(options.full);
+
+  // A running full sync of the same folder also serves incremental callers
+  if (runningSync) {
+    if (runningSync.rootFolderId === rootFolderId && (runningSync.full || !full)) {
+      return joinSync(runningSync, options.signal);
+    }
+
+    const error = new Error(`A${runningSync.full ? ' full' : 'n incremental'} Drive index sync${runningSync.rootFolderId ? ` of folder ${runningSync.rootFolderId}` : ''} is already running`);
+    error.code = 'EBUSY';
+    return Promise.reject(error);
+  }
+
+  // The sync runs under its own signal, as it may outlive the caller that started it
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  const promise = enqueue(async () => {
+    const startedAt = Date.now();
+    let index = await readIndex();
+    let summary;
+
+    if (!index || full || index.rootFolderId !== rootFolderId) {
+      logger.info(`Building Drive index${rootFolderId ? ` for folder ${rootFolderId}` : ''}`);
+      index = await fullSync(rootFolderId, index ? index.files : {}, signal);
+      summary = { type: 'full', tracked: Object.keys(index.files).length };
+    } else {
+      const counts = await applyChanges(index, signal);
+      summary = { type: 'incremental', ...counts, tracked: Object.keys(index.files).length };
+    }
+
+    await memoryStorage.getStorage().write(INDEX_KEY, JSON.stringify(index));
+
+    summary.durationMs = Date.now() - startedAt;
+    logger.info(`Drive index synced (${summary.type}): ${summary.tracked} files tracked`);
+    return summary;
+  }).finally(() => {
+    runningSync = null;
+  });
+
+  // Callers that cancelled no longer wait for the outcome
+  promise.catch(() => {});
+
+  runningSync = { rootFolderId, full, promise, controller, callers: 0, cancelled: 0 };
+  return joinSync(runningSync, options.signal);
+}
+
+/**
+ * Wait for a running sync on behalf of one caller. The caller stops waiting
+ * when its signal aborts; the sync is cancelled once all its callers have.
+ * @param {Object} run - The running sync
+ * @param {AbortSignal} signal - The caller's cancellation signal (optional)
+ * @returns {Promise<Object>} Sync summary
+ */
+function joinSync(run, signal) {
+  run.callers++;
+
+  // A caller that cannot cancel keeps the sync going
+  if (!signal) return run.promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reject(signal.reason || new Error('Drive index sync cancelled'));
+      run.cancelled++;
+      if (run.cancelled === run.callers) {
+        run.controller.abort(signal.reason);
+      }
+    };
+
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    run.promise
+      .then(resolve, reject)
+      .then(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Change the index in place, after any sync or update already running
+ * @param {Function} updater - Async function given the index; its changes are saved
+ * @returns {Promise<*>} Result of the updater
+ */
+function updateIndex(updater) {
+  return enqueue(async () => {
+    const index = await readIndex();
+    if (!index) {
+      throw new Error('The Drive index has not been synced yet');
+    }
+
+    const result = await updater(index);
+    await memoryStorage.getStorage().write(INDEX_KEY, JSON.stringify(index));
+    return result;
+  });
+}
+
+/**
+ * Query the index
+ * @param {Object} query - Filters
+ * @param {string} query.name - Name contains this text, case-insensitive (optional)
+ * @param {string} query.mimeType - Exact MIME type (optional)
+ * @param {string} query.parent - Direct parent folder ID (optional)
+ * @param {string} query.tag - Has this tag (optional)
+ * @param {string} query.modifiedAfter - Modified after this ISO date (optional)
+ * @param {string} query.modifiedBefore - Modified before this ISO date (optional)
+ * @param {number} query.page - Page number, starting at 1 (default: 1)
+ * @param {number} query.pageSize - Files per page (default: 50, max: 1000)
+ * @returns {Promise<Object>} Page of files, newest first, with sync details
+ */
+async function queryIndex(query = {}) {
+  const index = await readIndex();
+  if (!index) {
+    return { synced: false, files: [], page: 1, pageSize: 0, total: 0, totalPages: 0 };
+  }
+
+  const name = query.name ? query.name.toLowerCase() : null;
+  const matches = Object.values(index.files)
+    .filter(file =>
+      (!name || file.name.toLowerCase().includes(name)) &&
+      (!query.mimeType || file.mimeType === query.mimeType) &&
+      (!query.parent || file.parents.includes(query.parent)) &&
+      (!query.tag || (file.tags || []).includes(query.tag)) &&
+      (!query.modifiedAfter || file.modifiedTime > query.modifiedAfter) &&
+      (!query.modifiedBefore || file.modifiedTime < query.modifiedBefore)
+    )
+    .sort((a, b) => (b.modifiedTime || '').localeCompare(a.modifiedTime || ''));
+
+  const page = Math.max(1, query.page || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, query.pageSize || DEFAULT_PAGE_SIZE));
+  const start = (page - 1) * pageSize;
+
+  return {
+    synced: true,
+    rootFolderId: index.rootFolderId,
+    fullSyncAt: index.fullSyncAt,
+    syncedAt: index.syncedAt,
+    files: matches.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total: matches.length,
+    totalPages: Math.ceil(matches.length / pageSize)
+  };
+}
+
+module.exports = {
+  FOLDER_MIME_TYPE,
+  readIndex,
+  syncIndex,
+  updateIndex,
+  queryIndex
+};
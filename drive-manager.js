@@ -1,6 +1,10 @@
 // drive-manager.js
 const { google } = require('googleapis');
 const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const crypto = require('crypto');
 const path = require('path');
 
 // Configuration
@@ -8,6 +12,41 @@ const SCOPES = ['https://www.googleapis.com/auth/drive'];
 const TOKEN_PATH = path.join(__dirname, 'token.json');
 const CREDENTIALS_PATH = path.join(__dirname, 'credentials.json');
 
+// Largest page the Drive API returns
+const MAX_PAGE_SIZE = 1000;
+
+// File fields returned by listings
+const FILE_FIELDS = 'id, name, mimeType, createdTime, modifiedTime, size, parents, md5Checksum';
+
+// File fields returned by uploads and updates
+const WRITE_FIELDS = `${FILE_FIELDS}, description, appProperties, webViewLink`;
+
+// Folder MIME type
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// Without these, requests only reach files in My Drive and not shared drives
+const ALL_DRIVES = { supportsAllDrives: true };
+const ALL_DRIVES_LIST = { ...ALL_DRIVES, includeItemsFromAllDrives: true };
+
+// Request budget shared by every Drive API call
+const MAX_CONCURRENCY = parseInt(process.env.DRIVE_MAX_CONCURRENCY) || 4;
+const REQUESTS_PER_SECOND = parseFloat(process.env.DRIVE_REQUESTS_PER_SECOND) || 10;
+
+// Retries for rate-limited and failed requests
+const MAX_RETRIES = process.env.DRIVE_MAX_RETRIES ? parseInt(process.env.DRIVE_MAX_RETRIES) : 5;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 32000;
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+// The Drive client, built once and shared
+let clientPromise = null;
+
+// Request slots: how many are in flight, who is waiting, and when the next may start
+let activeRequests = 0;
+const waitingRequests = [];
+let nextRequestAt = 0;
+
 // Simple logging function
 function log(level, message, data = {}) {
   const timestamp = new Date().toISOString();
@@ -15,14 +54,27 @@ function log(level, message, data = {}) {
 }
 
 /**
- * Initialize the Google Drive connection
+ * Initialize the Google Drive connection. The client is built once and
+ * reused; its access token is refreshed automatically when it expires.
  */
 async function initialize() {
+  if (!clientPromise) {
+    clientPromise = (async () => {
+      log('info', 'Initializing Google Drive connection');
+      const auth = await getAuthClient();
+      const drive = google.drive({ version: 'v3', auth });
+      log('info', 'Google Drive connection established');
+      return drive;
+    })();
+    
+    // Try again from scratch next time
+    clientPromise.catch(() => {
+      clientPromise = null;
+    });
+  }
+  
   try {
-    log('info', 'Initializing Google Drive connection');
-    const auth = await getAuthClient();
-    const drive = google.drive({ version: 'v3', auth });
-    log('info', 'Google Drive connection established');
+    const drive = await clientPromise;
     return { success: true, drive };
   } catch (error) {
     log('error', 'Failed to initialize Google Drive', { error: error.message });
@@ -57,9 +109,19 @@ async function getAuthClient() {
 
     // Check if we have a token
     try {
-      const token = await fs.readFile(TOKEN_PATH);
-      oAuth2Client.setCredentials(JSON.parse(token));
+      const token = JSON.parse(await fs.readFile(TOKEN_PATH));
+      oAuth2Client.setCredentials(token);
       log('info', 'Using stored token for authentication');
+      
+      // Keep the stored token current as the client refreshes it
+      oAuth2Client.on('tokens', async tokens => {
+        try {
+          Object.assign(token, tokens);
+          await fs.writeFile(TOKEN_PATH, JSON.stringify(token));
+        } catch (error) {
+          log('warn', 'Failed to save refreshed token', { error: error.message });
+        }
+      });
     } catch (error) {
       log('warn', 'No token file found, using refresh token from environment');
       // Use refresh token from environment variables
@@ -75,52 +137,540 @@ async function getAuthClient() {
   }
 }
 
+/**
+ * Wait for a request slot within the concurrency and requests-per-second budget
+ */
+async function acquireSlot() {
+  if (activeRequests < MAX_CONCURRENCY) {
+    activeRequests++;
+  } else {
+    // releaseSlot hands its slot straight to the next waiter
+    await new Promise(resolve => waitingRequests.push(resolve));
+  }
+  
+  const now = Date.now();
+  const startAt = Math.max(now, nextRequestAt);
+  nextRequestAt = startAt + 1000 / REQUESTS_PER_SECOND;
+  
+  if (startAt > now) {
+    await new Promise(resolve => setTimeout(resolve, startAt - now));
+  }
+}
+
+/**
+ * Give up a request slot
+ */
+function releaseSlot() {
+  const next = waitingRequests.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests--;
+  }
+}
+
+/**
+ * Check whether a failed request is worth retrying: rate limits (403 with a
+ * rate-limit reason, or 429), server errors and dropped connections
+ * @param {Error} error - Error from the Drive API
+ * @returns {boolean} Whether to retry
+ */
+function isRetryable(error) {
+  const status = error.response ? error.response.status : null;
+  const reason = error.errors && error.errors[0] ? error.errors[0].reason : null;
+  
+  return status === 429 ||
+    status >= 500 ||
+    (status === 403 && RATE_LIMIT_REASONS.includes(reason)) ||
+    RETRYABLE_NETWORK_ERRORS.includes(error.code);
+}
+
+/**
+ * Delay before a retry: the server's Retry-After if given, otherwise
+ * exponential backoff with jitter
+ * @param {Error} error - Error from the Drive API
+ * @param {number} attempt - Number of the attempt that just failed, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(error, attempt) {
+  const retryAfter = error.response && error.response.headers ? parseInt(error.response.headers['retry-after']) : NaN;
+  if (retryAfter > 0) {
+    return Math.min(MAX_RETRY_DELAY_MS, retryAfter * 1000);
+  }
+  
+  const delay = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1));
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Throw if an operation has been cancelled
+ * @param {AbortSignal} signal - Cancellation signal (optional)
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason || new Error('Drive request cancelled');
+  }
+}
+
+/**
+ * Wait, unless cancelled first
+ * @param {number} ms - Time to wait in milliseconds
+ * @param {AbortSignal} signal - Cancellation signal (optional)
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason || new Error('Drive request cancelled'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Make a Drive API request within the request budget, retrying rate limits
+ * and transient failures with backoff
+ * @param {Function} request - Function that makes the request, given the request options ({ signal }) to pass to the API
+ * @param {AbortSignal} signal - Cancels the request and its retries (optional)
+ * @returns {Promise<Object>} The response
+ */
+async function driveRequest(request, signal) {
+  for (let attempt = 1; ; attempt++) {
+    let failure;
+    
+    throwIfAborted(signal);
+    await acquireSlot();
+    try {
+      throwIfAborted(signal);
+      return await request({ signal });
+    } catch (error) {
+      failure = error;
+    } finally {
+      releaseSlot();
+    }
+    
+    // A rejected token needs a fresh client next time
+    if (failure.response && failure.response.status === 401) {
+      clientPromise = null;
+    }
+    
+    if (attempt > MAX_RETRIES || !isRetryable(failure) || (signal && signal.aborted)) {
+      throw failure;
+    }
+    
+    const delay = retryDelay(failure, attempt);
+    log('warn', `Drive request failed, retrying in ${Math.round(delay)}ms (attempt ${attempt} of ${MAX_RETRIES})`, {
+      error: failure.message
+    });
+    await sleep(delay, signal);
+  }
+}
+
+/**
+ * Quote a value for use in a Drive search query
+ * @param {string} value - Value to quote
+ * @returns {string} Quoted value
+ */
+function quoteQuery(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Build the search query for a listing
+ * @param {Object} options - Listing options (folderId, query)
+ * @returns {string} Drive search query
+ */
+function buildQuery(options) {
+  let query = options.query || '';
+  
+  // If folder ID is provided, add it to the query
+  if (options.folderId) {
+    query = `${quoteQuery(options.folderId)} in parents${query ? ' and ' + query : ''}`;
+  }
+  
+  return query;
+}
+
+/**
+ * Iterate over every page of a listing, following nextPageToken
+ * @param {Object} drive - Drive API client
+ * @param {Object} params - files.list parameters (q, fields, pageSize, pageToken...)
+ * @param {AbortSignal} signal - Cancellation signal (optional)
+ * @yields {Object} Pages as { files, nextPageToken }
+ */
+async function* listPages(drive, params, signal) {
+  let pageToken = params.pageToken;
+  
+  do {
+    const res = await driveRequest(options => drive.files.list({ ...ALL_DRIVES_LIST, ...params, pageToken }, options), signal);
+    pageToken = res.data.nextPageToken;
+    yield { files: res.data.files || [], nextPageToken: pageToken || null };
+  } while (pageToken);
+}
+
+/**
+ * Iterate over every file of a listing, across all pages
+ * @param {Object} options - Listing options, as for listFiles (pageSize is the size of each request)
+ * @yields {Object} Files
+ */
+async function* iterateFiles(options = {}) {
+  const { drive } = await initialize();
+  
+  const pages = listPages(drive, {
+    pageSize: Math.min(options.pageSize || MAX_PAGE_SIZE, MAX_PAGE_SIZE),
+    fields: `nextPageToken, files(${FILE_FIELDS})`,
+    q: buildQuery(options),
+    pageToken: options.pageToken
+  }, options.signal);
+  
+  for await (const page of pages) {
+    yield* page.files;
+  }
+}
+
 /**
  * List files in Google Drive
  * @param {Object} options - Options for listing files
  * @param {string} options.folderId - Folder ID to list files from (optional)
  * @param {number} options.pageSize - Number of files to list (default: 10)
  * @param {string} options.query - Search query (optional)
+ * @param {string} options.pageToken - Cursor from a previous listing's nextPageToken (optional)
+ * @param {boolean} options.all - Follow every page and return all files (optional)
+ * @param {AbortSignal} options.signal - Cancellation signal (optional)
+ * @returns {Promise<Object>} Files, and nextPageToken when more pages follow
  */
 async function listFiles(options = {}) {
   try {
+    if (options.all) {
+      const files = [];
+      for await (const file of iterateFiles(options)) {
+        files.push(file);
+      }
+      
+      log('info', `Found ${files.length} files`);
+      return { success: true, files, nextPageToken: null };
+    }
+    
     const { drive } = await initialize();
     
-    const pageSize = options.pageSize || 10;
-    let query = options.query || '';
+    const pageSize = Math.min(options.pageSize || 10, MAX_PAGE_SIZE);
     
-    // If folder ID is provided, add it to the query
-    if (options.folderId) {
-      query = `'${options.folderId}' in parents${query ? ' and ' + query : ''}`;
-    }
-
-    const res = await drive.files.list({
+    const res = await driveRequest(requestOptions => drive.files.list({
+      ...ALL_DRIVES_LIST,
       pageSize,
-      fields: 'nextPageToken, files(id, name, mimeType, createdTime, modifiedTime, size)',
-      q: query
-    });
+      fields: `nextPageToken, files(${FILE_FIELDS})`,
+      q: buildQuery(options),
+      pageToken: options.pageToken
+    }, requestOptions), options.signal);
 
     const files = res.data.files;
-    log('info', `Found ${files.length} files`);
-    return { success: true, files };
+    log('info', `Found ${files.length} files${res.data.nextPageToken ? ' (more pages follow)' : ''}`);
+    return { success: true, files, nextPageToken: res.data.nextPageToken || null };
   } catch (error) {
     log('error', 'Failed to list files', { error: error.message });
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Get the token that marks the current position of the changes feed
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancellation signal (optional)
+ * @returns {Promise<string>} Start page token
+ */
+async function getStartPageToken(options = {}) {
+  const { drive } = await initialize();
+  const res = await driveRequest(requestOptions => drive.changes.getStartPageToken({ ...ALL_DRIVES }, requestOptions), options.signal);
+  return res.data.startPageToken;
+}
+
+/**
+ * Iterate over the changes feed from a page token, across all pages
+ * @param {string} pageToken - Start page token (or a later token from the feed)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancellation signal (optional)
+ * @yields {Object} Pages as { changes, newStartPageToken }; newStartPageToken is set on the last page
+ */
+async function* iterateChanges(pageToken, options = {}) {
+  const { drive } = await initialize();
+  let token = pageToken;
+  
+  while (token) {
+    const res = await driveRequest(requestOptions => drive.changes.list({
+      ...ALL_DRIVES_LIST,
+      pageToken: token,
+      pageSize: MAX_PAGE_SIZE,
+      includeRemoved: true,
+      spaces: 'drive',
+      fields: `nextPageToken, newStartPageToken, changes(fileId, removed, file(${FILE_FIELDS}, trashed))`
+    }, requestOptions), options.signal);
+    
+    token = res.data.nextPageToken;
+    yield { changes: res.data.changes || [], newStartPageToken: res.data.newStartPageToken || null };
+  }
+}
+
+/**
+ * Find the file an upload should replace: a file (never a folder) directly
+ * in the folder, matched by its app properties when given, else by name
+ * @param {Object} drive - Drive API client
+ * @param {Object} match - What to look for
+ * @param {string} match.folderId - Folder ID (default: the top of My Drive)
+ * @param {string} match.name - File name
+ * @param {Object} match.appProperties - App properties the file must all carry (optional; replaces the name match)
+ * @param {AbortSignal} signal - Cancellation signal (optional)
+ * @returns {Promise<Object|null>} The first match, or null
+ */
+async function findFileToReplace(drive, match, signal) {
+  const conditions = [`mimeType != ${quoteQuery(FOLDER_MIME_TYPE)}`, 'trashed = false'];
+  
+  if (match.appProperties) {
+    for (const [key, value] of Object.entries(match.appProperties)) {
+      conditions.push(`appProperties has { key=${quoteQuery(key)} and value=${quoteQuery(value)} }`);
+    }
+  } else {
+    conditions.push(`name = ${quoteQuery(match.name)}`);
+  }
+  
+  const res = await driveRequest(options => drive.files.list({
+    ...ALL_DRIVES_LIST,
+    q: buildQuery({ folderId: match.folderId || 'root', query: conditions.join(' and ') }),
+    fields: 'files(id, name)',
+    pageSize: 1
+  }, options), signal);
+  
+  return res.data.files && res.data.files.length > 0 ? res.data.files[0] : null;
+}
+
+/**
+ * Upload a file or buffer into a folder
+ * @param {Object} options - Upload options
+ * @param {string} options.name - File name in Drive
+ * @param {string} options.folderId - Folder to upload into (optional; default: My Drive)
+ * @param {Buffer|string} options.content - Content to upload (or give filePath)
+ * @param {string} options.filePath - Local file to upload (or give content)
+ * @param {string} options.mimeType - Content type (default: application/octet-stream)
+ * @param {string} options.description - File description (optional)
+ * @param {Object} options.appProperties - App properties (optional)
+ * @param {boolean} options.overwrite - Replace the content of a file with the same name in the folder instead of adding another
+ * @param {Object} options.overwriteMatching - Replace the file in the folder carrying all of these app properties
+ *   instead, whatever its name (optional)
+ * @param {AbortSignal} options.signal - Cancellation signal (optional)
+ * @returns {Promise<Object>} The uploaded file, with replaced set when an existing file was overwritten
+ */
+async function uploadFile(options) {
+  if (!options.name) {
+    throw new Error('A file name is required');
+  }
+  if (options.content === undefined && !options.filePath) {
+    throw new Error('Either content or filePath is required');
+  }
+  
+  const { drive } = await initialize();
+  const existing = options.overwrite || options.overwriteMatching
+    ? await findFileToReplace(drive, {
+      folderId: options.folderId,
+      name: options.name,
+      appProperties: options.overwriteMatching
+    }, options.signal)
+    : null;
+  
+  // Each attempt needs a fresh stream of the content
+  const media = () => ({
+    mimeType: options.mimeType || 'application/octet-stream',
+    body: options.filePath
+      ? createReadStream(options.filePath)
+      : Readable.from([Buffer.isBuffer(options.content) ? options.content : Buffer.from(String(options.content))])
+  });
+  
+  const metadata = {
+    description: options.description,
+    appProperties: options.appProperties
+  };
+  
+  const res = existing
+    ? await driveRequest(requestOptions => drive.files.update({
+      ...ALL_DRIVES,
+      fileId: existing.id,
+      requestBody: { ...metadata, name: options.name },
+      media: media(),
+      fields: WRITE_FIELDS
+    }, requestOptions), options.signal)
+    : await driveRequest(requestOptions => drive.files.create({
+      ...ALL_DRIVES,
+      requestBody: { ...metadata, name: options.name, parents: options.folderId ? [options.folderId] : undefined },
+      media: media(),
+      fields: WRITE_FIELDS
+    }, requestOptions), options.signal);
+  
+  log('info', `${existing ? 'Replaced' : 'Uploaded'} file: ${options.name}`);
+  return { ...res.data, replaced: Boolean(existing) };
+}
+
+/**
+ * Create a folder
+ * @param {string} name - Folder name
+ * @param {string} parentId - Parent folder ID (optional; default: My Drive)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancellation signal (optional)
+ * @returns {Promise<Object>} The new folder
+ */
+async function createFolder(name, parentId, options = {}) {
+  const { drive } = await initialize();
+  
+  const res = await driveRequest(requestOptions => drive.files.create({
+    ...ALL_DRIVES,
+    requestBody: {
+      name,
+      mimeType: FOLDER_MIME_TYPE,
+      parents: parentId ? [parentId] : undefined
+    },
+    fields: WRITE_FIELDS
+  }, requestOptions), options.signal);
+  
+  log('info', `Created folder: ${name}`);
+  return res.data;
+}
+
+/**
+ * Update a file's metadata: rename, move, describe or set app properties
+ * @param {string} fileId - File ID
+ * @param {Object} changes - Changes to make
+ * @param {string} changes.name - New name (optional)
+ * @param {string} changes.folderId - Folder to move the file into, out of its current folders (optional)
+ * @param {string} changes.description - New description (optional)
+ * @param {Object} changes.appProperties - App properties to set; a null value removes that property (optional)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancellation signal (optional)
+ * @returns {Promise<Object>} The updated file
+ */
+async function updateFile(fileId, changes, options = {}) {
+  const { drive } = await initialize();
+  const params = { ...ALL_DRIVES, fileId, requestBody: {}, fields: WRITE_FIELDS };
+  
+  for (const field of ['name', 'description', 'appProperties']) {
+    if (changes[field] !== undefined) {
+      params.requestBody[field] = changes[field];
+    }
+  }
+  
+  if (changes.folderId) {
+    const current = await driveRequest(requestOptions => drive.files.get({ ...ALL_DRIVES, fileId, fields: 'parents' }, requestOptions), options.signal);
+    const parents = (current.data.parents || []).filter(parent => parent !== changes.folderId);
+    
+    params.addParents = changes.folderId;
+    if (parents.length > 0) {
+      params.removeParents = parents.join(',');
+    }
+  }
+  
+  const res = await driveRequest(requestOptions => drive.files.update(params, requestOptions), options.signal);
+  return res.data;
+}
+
+/**
+ * Move a file into a folder
+ * @param {string} fileId - File ID
+ * @param {string} folderId - Destination folder ID
+ * @returns {Promise<Object>} The moved file
+ */
+async function moveFile(fileId, folderId) {
+  return updateFile(fileId, { folderId });
+}
+
+/**
+ * Rename a file
+ * @param {string} fileId - File ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} The renamed file
+ */
+async function renameFile(fileId, name) {
+  return updateFile(fileId, { name });
+}
+
+/**
+ * Set or clear a file's app properties
+ * @param {string} fileId - File ID
+ * @param {Object} appProperties - Properties to set; a null value removes that property
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancellation signal (optional)
+ * @returns {Promise<Object>} The file's app properties after the update
+ */
+async function setAppProperties(fileId, appProperties, options = {}) {
+  const file = await updateFile(fileId, { appProperties }, options);
+  return file.appProperties || {};
+}
+
+/**
+ * Download a file's content, or export a Google Docs, Sheets or Slides file,
+ * to a local path. The file is written under a temporary name and only
+ * moved into place once complete (and, given a checksum, verified).
+ * @param {string} fileId - File ID
+ * @param {string} destination - Local path to write to
+ * @param {Object} options - Download options
+ * @param {string} options.exportMimeType - Format to export a Google Workspace file as (optional)
+ * @param {string} options.md5Checksum - Expected checksum of the content (optional)
+ * @param {AbortSignal} options.signal - Cancellation signal (optional)
+ * @returns {Promise<Object>} Download as { bytes, md5Checksum }
+ */
+async function downloadFile(fileId, destination, options = {}) {
+  const { exportMimeType, signal } = options;
+  const { drive } = await initialize();
+  
+  const res = await driveRequest(requestOptions => exportMimeType
+    ? drive.files.export({ fileId, mimeType: exportMimeType }, { ...requestOptions, responseType: 'stream' })
+    : drive.files.get({ ...ALL_DRIVES, fileId, alt: 'media' }, { ...requestOptions, responseType: 'stream' }), signal);
+  
+  // Checksum the content on its way to disk
+  const hash = crypto.createHash('md5');
+  let bytes = 0;
+  const measure = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      bytes += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  
+  const partialPath = `${destination}.partial`;
+  await fs.mkdir(path.dirname(destination), { recursive: true });
+  
+  try {
+    await pipeline(res.data, measure, createWriteStream(partialPath), { signal });
+    
+    const md5Checksum = hash.digest('hex');
+    if (options.md5Checksum && md5Checksum !== options.md5Checksum) {
+      throw new Error(`Checksum mismatch for ${fileId}: expected ${options.md5Checksum}, got ${md5Checksum}`);
+    }
+    
+    await fs.rename(partialPath, destination);
+    return { bytes, md5Checksum };
+  } catch (error) {
+    await fs.rm(partialPath, { force: true });
+    throw error;
+  }
+}
+
 /**
  * Check the connection to Google Drive
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancellation signal (optional)
  */
-async function checkConnection() {
+async function checkConnection(options = {}) {
   try {
     const { drive } = await initialize();
     
     // Try to list a few files to verify connection
-    const res = await drive.files.list({
+    const res = await driveRequest(requestOptions => drive.files.list({
+      ...ALL_DRIVES_LIST,
       pageSize: 1,
       fields: 'files(id, name)'
-    });
+    }, requestOptions), options.signal);
     
     return { 
       success: true, 
@@ -140,66 +690,128 @@ async function checkConnection() {
 }
 
 /**
- * Scan a folder and return its structure
+ * Scan a folder and return its structure, leaving out trashed files.
+ * Subfolders are fetched in parallel within the request budget; a folder
+ * that cannot be listed is marked with its error and the rest of the scan
+ * carries on.
  * @param {string} folderId - Folder ID to scan
  * @param {number} depth - Maximum depth to scan (default: 2)
+ * @param {Object} options - Scan options
+ * @param {AbortSignal} options.signal - Cancels the scan, which then throws instead of returning a partial result (optional)
+ * @returns {Promise<Object>} Scan as { folder, errors, complete, stats }; folder is null if the root could not be read
  */
-async function scanFolder(folderId, depth = 2) {
-  if (depth <= 0) return null;
+async function scanFolder(folderId, depth = 2, options = {}) {
+  const { signal } = options;
+  const startedAt = Date.now();
+  const errors = [];
+  const stats = { folders: 0, files: 0 };
   
+  const result = folder => ({
+    folder,
+    errors,
+    complete: errors.length === 0,
+    stats: { ...stats, durationMs: Date.now() - startedAt }
+  });
+  
+  if (depth <= 0) return result(null);
+  
+  let drive;
+  let folder;
   try {
-    const { drive } = await initialize();
+    ({ drive } = await initialize());
     
     // Get folder details
-    const folderRes = await drive.files.get({
+    const folderRes = await driveRequest(requestOptions => drive.files.get({
+      ...ALL_DRIVES,
       fileId: folderId,
       fields: 'id, name'
-    });
+    }, requestOptions), signal);
     
-    const folder = {
+    folder = {
       id: folderRes.data.id,
       name: folderRes.data.name,
       type: 'folder',
       children: []
     };
+  } catch (error) {
+    throwIfAborted(signal);
+    log('error', `Failed to scan folder: ${folderId}`, { error: error.message });
+    errors.push({ folderId, error: error.message });
+    return result(null);
+  }
+  
+  const scan = async (node, remainingDepth) => {
+    // List files in the folder, across all pages
+    const files = [];
+    try {
+      const pages = listPages(drive, {
+        q: `${quoteQuery(node.id)} in parents and trashed = false`,
+        fields: 'nextPageToken, files(id, name, mimeType, size, modifiedTime, md5Checksum)',
+        pageSize: MAX_PAGE_SIZE
+      }, signal);
+      
+      for await (const page of pages) {
+        files.push(...page.files);
+      }
+    } catch (error) {
+      if (signal && signal.aborted) return;
+      log('warn', `Failed to list folder: ${node.name}`, { folderId: node.id, error: error.message });
+      node.error = error.message;
+      errors.push({ folderId: node.id, name: node.name, error: error.message });
+      return;
+    }
     
-    // List files in the folder
-    const res = await drive.files.list({
-      q: `'${folderId}' in parents`,
-      fields: 'files(id, name, mimeType)'
-    });
-    
-    const files = res.data.files;
+    stats.folders++;
+    const subScans = [];
     
     // Process each file/folder
     for (const file of files) {
-      if (file.mimeType === 'application/vnd.google-apps.folder') {
-        // Recursively scan subfolders
-        const subFolder = await scanFolder(file.id, depth - 1);
-        if (subFolder) {
-          folder.children.push(subFolder);
+      if (file.mimeType === FOLDER_MIME_TYPE) {
+        // Scan subfolders side by side, within the request budget
+        if (remainingDepth > 1) {
+          const subFolder = { id: file.id, name: file.name, type: 'folder', children: [] };
+          node.children.push(subFolder);
+          subScans.push(scan(subFolder, remainingDepth - 1));
         }
       } else {
-        folder.children.push({
+        stats.files++;
+        node.children.push({
           id: file.id,
           name: file.name,
           type: 'file',
-          mimeType: file.mimeType
+          mimeType: file.mimeType,
+          size: file.size !== undefined ? Number(file.size) : null,
+          modifiedTime: file.modifiedTime,
+          md5Checksum: file.md5Checksum || null
         });
       }
     }
     
-    log('info', `Scanned folder: ${folder.name}, found ${folder.children.length} items`);
-    return folder;
-  } catch (error) {
-    log('error', `Failed to scan folder: ${folderId}`, { error: error.message });
-    return null;
-  }
+    await Promise.all(subScans);
+  };
+  
+  await scan(folder, depth);
+  
+  // Folders that failed because the scan was cancelled are not a partial result
+  throwIfAborted(signal);
+  
+  log('info', `Scanned folder: ${folder.name}, found ${stats.folders} folders and ${stats.files} files${errors.length > 0 ? ` (${errors.length} folders failed)` : ''}`);
+  return result(folder);
 }
 
 module.exports = {
   initialize,
   listFiles,
+  iterateFiles,
+  getStartPageToken,
+  iterateChanges,
+  uploadFile,
+  createFolder,
+  updateFile,
+  moveFile,
+  renameFile,
+  setAppProperties,
+  downloadFile,
   checkConnection,
   scanFolder
 };
@@ -0,0 +1,101 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * drive-publish.js - Publishes the system's own artifacts to Google Drive
+ *
+ * Artifacts are uploaded into DRIVE_PUBLISH_FOLDER_ID, replacing the
+ * previous copy, so the folder always holds the latest status report,
+ * memory export and core log. Each upload is marked with an
+ * immortalArtifact app property, and the previous copy is found by that
+ * property rather than by name, so a file of the same name that someone
+ * else put in the folder is never overwritten.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const driveManager = require('./drive-manager');
+const memoryBundle = require('./memory-bundle');
+const statusReport = require('./status-report');
+
+// Folder artifacts are published to
+const PUBLISH_FOLDER_ID = process.env.DRIVE_PUBLISH_FOLDER_ID;
+
+// Artifacts that can be published, by name; each returns its upload
+const ARTIFACTS = {
+  'status-report': async () => ({
+    name: path.basename(statusReport.REPORT_PATH),
+    mimeType: 'text/markdown',
+    content: await fs.readFile(statusReport.REPORT_PATH)
+  }),
+  'memory-export': async () => {
+    const bundle = await memoryBundle.exportBundle();
+    return {
+      name: `memory-bundle-${bundle.manifest.systemId}.json`,
+      mimeType: 'application/json',
+      content: JSON.stringify(bundle, null, 2)
+    };
+  },
+  'core-log': async () => ({
+    name: path.basename(logger.CORE_LOG_PATH),
+    mimeType: 'text/markdown',
+    content: await fs.readFile(logger.CORE_LOG_PATH)
+  })
+};
+
+/**
+ * Publish artifacts to Drive
+ * @param {string[]} names - Artifacts to publish (default: all of them)
+ * @param {Object} options - Publish options
+ * @param {string} options.folderId - Folder to publish to (default: DRIVE_PUBLISH_FOLDER_ID)
+ * @param {AbortSignal} options.signal - Cancellation signal (optional)
+ * @returns {Promise<Object[]>} Results as { artifact, success, fileId, name, replaced, error }
+ */
+async function publishArtifacts(names = Object.keys(ARTIFACTS), options = {}) {
+  const folderId = options.folderId || PUBLISH_FOLDER_ID;
+  if (!folderId) {
+    throw new Error('No folder to publish to; set DRIVE_PUBLISH_FOLDER_ID or pass a folderId');
+  }
+
+  const unknown = names.filter(name => !ARTIFACTS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown artifacts: ${unknown.join(', ')} (use ${Object.keys(ARTIFACTS).join(', ')})`);
+  }
+
+  const results = [];
+  for (const artifact of names) {
+    if (options.signal && options.signal.aborted) {
+      throw options.signal.reason || new Error('Publishing cancelled');
+    }
+
+    try {
+      const upload = await ARTIFACTS[artifact]();
+      const file = await driveManager.uploadFile({
+        ...upload,
+        folderId,
+        overwriteMatching: { immortalArtifact: artifact },
+        appProperties: { immortalArtifact: artifact },
+        signal: options.signal
+      });
+
+      results.push({ artifact, success: true, fileId: file.id, name: file.name, replaced: file.replaced });
+    } catch (error) {
+      logger.error(`Failed to publish ${artifact}: ${error.message}`);
+      results.push({ artifact, success: false, error: error.message });
+    }
+  }
+
+  const published = results.filter(result => result.success).length;
+  logger.info(`Published ${published} of ${results.length} artifacts to Drive`);
+
+  // A scheduled run that published nothing has failed
+  if (published === 0) {
+    throw new Error(`Publishing failed: ${results.map(result => `${result.artifact}: ${result.error}`).join('; ')}`);
+  }
+
+  return results;
+}
+
+module.exports = {
+  ARTIFACTS,
+  publishArtifacts
+};
@@ -0,0 +1,212 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * drive-scan-formats.js - Renders Drive folder scans in other formats
+ *
+ * A scan from driveManager.scanFolder() is a nested tree. This module turns
+ * it into a flat list with full paths, CSV, a Markdown manifest (in the
+ * style of IMMORTAL_STACK_STATUS.md) or a per-folder size summary. Sizes
+ * only cover what the scan reached: folders beyond the scan depth, and
+ * Google Docs, which have no size, count as empty.
+ */
+
+// Formats /drive-scan can produce
+const FORMATS = ['json', 'flat', 'csv', 'markdown', 'sizes'];
+
+// CSV columns, in order
+const CSV_COLUMNS = ['path', 'id', 'type', 'mimeType', 'size', 'modifiedTime'];
+
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+/**
+ * Format a byte count for people
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as 512 B or 1.5 MB
+ */
+function formatSize(bytes) {
+  let value = bytes;
+  let unit = 0;
+
+  while (value >= 1024 && unit < SIZE_UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return `${unit === 0 ? value : value.toFixed(1)} ${SIZE_UNITS[unit]}`;
+}
+
+/**
+ * Flatten a scanned tree into one row per file and folder, parents first
+ * @param {Object} folder - Root folder of a scan
+ * @returns {Object[]} Rows as { path, id, type, mimeType, size, modifiedTime, md5Checksum, error }
+ */
+function flatten(folder) {
+  const rows = [];
+
+  const visit = (node, parentPath) => {
+    const nodePath = parentPath ? `${parentPath}/${node.name}` : node.name;
+    const row = {
+      path: nodePath,
+      id: node.id,
+      type: node.type,
+      mimeType: node.type === 'folder' ? 'application/vnd.google-apps.folder' : node.mimeType,
+      size: node.type === 'folder' ? null : node.size,
+      modifiedTime: node.modifiedTime || null,
+      md5Checksum: node.md5Checksum || null
+    };
+
+    if (node.error) {
+      row.error = node.error;
+    }
+
+    rows.push(row);
+
+    for (const child of node.children || []) {
+      visit(child, nodePath);
+    }
+  };
+
+  visit(folder, '');
+  return rows;
+}
+
+/**
+ * Quote a CSV field when it needs it
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a scan as CSV
+ * @param {Object} folder - Root folder of a scan
+ * @returns {string} CSV with a header row
+ */
+function toCsv(folder) {
+  const lines = [CSV_COLUMNS.join(',')];
+
+  for (const row of flatten(folder)) {
+    lines.push(CSV_COLUMNS.map(column => csvField(row[column])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Total up file counts and sizes for every folder in a scan
+ * @param {Object} folder - Root folder of a scan
+ * @returns {Object[]} Folders as { path, id, depth, files, folders, size }, in tree order; counts include subfolders
+ */
+function folderSizes(folder) {
+  const summaries = [];
+
+  const visit = (node, parentPath, depth) => {
+    const nodePath = parentPath ? `${parentPath}/${node.name}` : node.name;
+    const summary = { path: nodePath, id: node.id, depth, files: 0, folders: 0, size: 0 };
+    summaries.push(summary);
+
+    if (node.error) {
+      summary.error = node.error;
+    }
+
+    for (const child of node.children || []) {
+      if (child.type === 'folder') {
+        const sub = visit(child, nodePath, depth + 1);
+        summary.folders += 1 + sub.folders;
+        summary.files += sub.files;
+        summary.size += sub.size;
+      } else {
+        summary.files++;
+        summary.size += child.size || 0;
+      }
+    }
+
+    return summary;
+  };
+
+  visit(folder, '', 0);
+  return summaries;
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} Escaped text
+ */
+function markdownCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render a scan as a Markdown manifest
+ * @param {Object} scan - Scan as returned by scanFolder
+ * @param {Object} options - Manifest options
+ * @param {number} options.depth - Depth the scan was run with (optional)
+ * @returns {string} Markdown document
+ */
+function toMarkdown(scan, options = {}) {
+  const { folder, errors } = scan;
+  const rows = flatten(folder);
+  const sizes = folderSizes(folder);
+  const total = sizes[0];
+
+  const lines = [
+    `# DRIVE MANIFEST: ${folder.name}`,
+    `Generated: ${new Date().toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'medium' })}`,
+    '',
+    '## Summary',
+    '',
+    `* **Folder ID**: ${folder.id}`,
+    ...(options.depth ? [`* **Scan Depth**: ${options.depth}`] : []),
+    `* **Folders**: ${total.folders}`,
+    `* **Files**: ${total.files}`,
+    `* **Total Size**: ${formatSize(total.size)}`,
+    `* **Scan Status**: ${errors.length === 0 ? '✅ Complete' : `⚠️ Partial (${errors.length} folders could not be read)`}`,
+    '',
+    '## Folders',
+    '',
+    '| Folder | Files | Size |',
+    '|--------|-------|------|',
+    ...sizes.map(summary => `| ${markdownCell(summary.path)} | ${summary.files} | ${formatSize(summary.size)} |`),
+    '',
+    '## Files',
+    '',
+    '| Path | Type | Size | Modified |',
+    '|------|------|------|----------|',
+    ...rows
+      .filter(row => row.type === 'file')
+      .map(row => `| ${markdownCell(row.path)} | ${markdownCell(row.mimeType)} | ${row.size !== null && row.size !== undefined ? formatSize(row.size) : '-'} | ${row.modifiedTime || '-'} |`)
+  ];
+
+  if (errors.length > 0) {
+    lines.push(
+      '',
+      '## Errors',
+      '',
+      ...errors.map(error => `* ${markdownCell(error.name || error.folderId)} (${error.folderId}): ${markdownCell(error.error)}`)
+    );
+  }
+
+  lines.push(
+    '',
+    '---',
+    '',
+    '*This manifest is generated by the IMMORTAL-CORD system.*',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  FORMATS,
+  formatSize,
+  flatten,
+  toCsv,
+  folderSizes,
+  toMarkdown
+};
@@ -0,0 +1,461 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * drive-tagging.js - Rule-based tagging of indexed Google Drive files
+ *
+ * Rules live in a JSON file (DRIVE_TAG_RULES_PATH, default
+ * drive-tag-rules.json):
+ *
+ *   {
+ *     "rules": [
+ *       {
+ *         "name": "old-invoices",
+ *         "match": { "name": "*invoice*", "path": "Finance/**", "mimeType": "application/pdf",
+ *                    "minSize": "10KB", "maxSize": "20MB", "olderThan": "90d", "newerThan": "2w" },
+ *         "tags": ["finance", "archive"]
+ *       }
+ *     ]
+ *   }
+ *
+ * Every condition in "match" must hold; name, path and mimeType take a glob
+ * or a list of globs (any may match). Paths are relative to the tracked
+ * root, e.g. Finance/2024/report.pdf. A file gets the tags of every rule it
+ * matches. Tags are stored in the Drive index and, when write-back is on,
+ * mirrored to the file's appProperties as tag-<name>=true.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const scheduler = require('./scheduler');
+const driveIndex = require('./drive-index');
+const driveManager = require('./drive-manager');
+
+// Rules file location
+const RULES_PATH = process.env.DRIVE_TAG_RULES_PATH || path.join(__dirname, 'drive-tag-rules.json');
+
+// Whether scheduled tagging writes tags back to Drive
+const WRITE_BACK = process.env.DRIVE_TAG_WRITE_BACK === 'true';
+
+// appProperties key prefix for written-back tags
+const TAG_PROPERTY_PREFIX = 'tag-';
+
+// Tags are short names that also work as appProperties keys
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,49}$/i;
+
+// Conditions a rule can match on
+const GLOB_CONDITIONS = ['name', 'path', 'mimeType'];
+const SIZE_CONDITIONS = ['minSize', 'maxSize'];
+const AGE_CONDITIONS = ['olderThan', 'newerThan'];
+
+// Sizes such as 512, 10KB or 1.5GB
+const SIZE_PATTERN = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?$/i;
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+/**
+ * Parse a size
+ * @param {number|string} value - Bytes, or a size such as 10KB, 5MB or 1.5GB
+ * @returns {number|null} Size in bytes, or null if invalid
+ */
+function parseSize(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+
+  const match = typeof value === 'string' ? SIZE_PATTERN.exec(value.trim()) : null;
+  return match ? Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]) : null;
+}
+
+/**
+ * Turn a glob into a regular expression. * matches within one path segment,
+ * ** across segments and ? a single character; matching ignores case.
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      // **/ also matches no folders at all
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Validate a rules document
+ * @param {Object} config - Rules document as { rules: [...] }
+ * @returns {string[]} Problems found; empty if the rules are valid
+ */
+function validateRules(config) {
+  if (!config || !Array.isArray(config.rules)) {
+    return ['Rules must be an object with a rules array'];
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  config.rules.forEach((rule, i) => {
+    const label = rule && rule.name ? `Rule ${i + 1} (${rule.name})` : `Rule ${i + 1}`;
+
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    if (typeof rule.name !== 'string' || !rule.name) {
+      errors.push(`${label}: name is required`);
+    } else if (names.has(rule.name)) {
+      errors.push(`${label}: duplicate rule name`);
+    }
+    names.add(rule.name);
+
+    if (!Array.isArray(rule.tags) || rule.tags.length === 0) {
+      errors.push(`${label}: tags must be a non-empty array`);
+    } else {
+      for (const tag of rule.tags) {
+        if (typeof tag !== 'string' || !TAG_PATTERN.test(tag)) {
+          errors.push(`${label}: invalid tag ${JSON.stringify(tag)} (use up to 50 letters, digits, dots, dashes or underscores)`);
+        }
+      }
+    }
+
+    const match = rule.match || {};
+    if (typeof match !== 'object' || Array.isArray(match)) {
+      errors.push(`${label}: match must be an object`);
+      return;
+    }
+
+    for (const key of Object.keys(match)) {
+      const value = match[key];
+
+      if (GLOB_CONDITIONS.includes(key)) {
+        const globs = Array.isArray(value) ? value : [value];
+        if (globs.length === 0 || globs.some(glob => typeof glob !== 'string' || !glob)) {
+          errors.push(`${label}: ${key} must be a glob or a list of globs`);
+        }
+      } else if (SIZE_CONDITIONS.includes(key)) {
+        if (parseSize(value) === null) {
+          errors.push(`${label}: ${key} must be a size such as 500KB or 2GB`);
+        }
+      } else if (AGE_CONDITIONS.includes(key)) {
+        if (scheduler.parseDuration(value) === null) {
+          errors.push(`${label}: ${key} must be a duration such as 30d or 12h`);
+        }
+      } else {
+        errors.push(`${label}: unknown condition ${key}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Compile a valid rules document for matching
+ * @param {Object} config - Rules document (already validated)
+ * @returns {Object[]} Compiled rules
+ */
+function compileRules(config) {
+  return config.rules.map(rule => {
+    const match = rule.match || {};
+    const compiled = { name: rule.name, tags: rule.tags, globs: {} };
+
+    for (const key of GLOB_CONDITIONS) {
+      if (match[key] !== undefined) {
+        compiled.globs[key] = (Array.isArray(match[key]) ? match[key] : [match[key]]).map(globToRegExp);
+      }
+    }
+
+    if (match.minSize !== undefined) compiled.minSize = parseSize(match.minSize);
+    if (match.maxSize !== undefined) compiled.maxSize = parseSize(match.maxSize);
+    if (match.olderThan !== undefined) compiled.olderThanMs = scheduler.parseDuration(match.olderThan);
+    if (match.newerThan !== undefined) compiled.newerThanMs = scheduler.parseDuration(match.newerThan);
+
+    return compiled;
+  });
+}
+
+/**
+ * Read the rules file. A missing file means no rules.
+ * @returns {Promise<Object>} Rules document as { rules: [...] }
+ */
+async function readRules() {
+  let content;
+  try {
+    content = await fs.readFile(RULES_PATH, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { rules: [] };
+    }
+    throw error;
+  }
+
+  const config = JSON.parse(content);
+  const errors = validateRules(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid tag rules in ${RULES_PATH}: ${errors.join('; ')}`);
+  }
+
+  return config;
+}
+
+/**
+ * Work out each indexed file's path below the tracked root
+ * @param {Object} files - Index entries keyed by id
+ * @returns {Map<string, string>} Paths keyed by file id
+ */
+function buildPaths(files) {
+  const paths = new Map();
+
+  const pathOf = (id, seen = new Set()) => {
+    if (paths.has(id)) return paths.get(id);
+
+    const entry = files[id];
+    // Files can have several parents; the first one that is indexed wins
+    const parent = entry.parents.find(parentId => files[parentId] && !seen.has(parentId));
+
+    seen.add(id);
+    const result = parent ? `${pathOf(parent, seen)}/${entry.name}` : entry.name;
+    paths.set(id, result);
+    return result;
+  };
+
+  for (const id of Object.keys(files)) {
+    pathOf(id);
+  }
+
+  return paths;
+}
+
+/**
+ * Check whether a rule matches a file
+ * @param {Object} rule - Compiled rule
+ * @param {Object} entry - Index entry
+ * @param {string} filePath - Path of the file below the tracked root
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} Whether every condition of the rule holds
+ */
+function matchesRule(rule, entry, filePath, now) {
+  const values = { name: entry.name, path: filePath, mimeType: entry.mimeType };
+
+  for (const [key, patterns] of Object.entries(rule.globs)) {
+    if (!patterns.some(pattern => pattern.test(values[key] || ''))) return false;
+  }
+
+  // Folders and Google Docs have no size, so size conditions never match them
+  if (rule.minSize !== undefined && (entry.size === null || entry.size < rule.minSize)) return false;
+  if (rule.maxSize !== undefined && (entry.size === null || entry.size > rule.maxSize)) return false;
+
+  const ageMs = now - new Date(entry.modifiedTime).getTime();
+  if (rule.olderThanMs !== undefined && !(ageMs > rule.olderThanMs)) return false;
+  if (rule.newerThanMs !== undefined && !(ageMs < rule.newerThanMs)) return false;
+
+  return true;
+}
+
+/**
+ * Check whether two tag lists hold the same tags
+ * @param {string[]} a - First list
+ * @param {string[]} b - Second list
+ * @returns {boolean} Whether the lists match
+ */
+function sameTags(a = [], b = []) {
+  return a.length === b.length && a.every(tag => b.includes(tag));
+}
+
+/**
+ * Work out the tags for every file in the index
+ * @param {Object} index - Drive index
+ * @param {Object[]} rules - Compiled rules
+ * @returns {Object[]} Plans as { id, path, tags, rules, currentTags, changed }
+ */
+function planTags(index, rules) {
+  const now = Date.now();
+  const paths = buildPaths(index.files);
+
+  return Object.values(index.files).map(entry => {
+    const filePath = paths.get(entry.id);
+    const matched = rules.filter(rule => matchesRule(rule, entry, filePath, now));
+    const tags = [...new Set(matched.flatMap(rule => rule.tags))].sort();
+    const currentTags = entry.tags || [];
+
+    return {
+      id: entry.id,
+      path: filePath,
+      tags,
+      rules: matched.map(rule => rule.name),
+      currentTags,
+      changed: !sameTags(tags, currentTags)
+    };
+  });
+}
+
+/**
+ * Summarize a tagging plan
+ * @param {Object[]} plans - Plans from planTags
+ * @param {number} ruleCount - Number of rules applied
+ * @returns {Object} Counts of files scanned, tagged and changed, and files per tag
+ */
+function summarize(plans, ruleCount) {
+  const tagCounts = {};
+  for (const plan of plans) {
+    for (const tag of plan.tags) {
+      tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+    }
+  }
+
+  return {
+    rules: ruleCount,
+    scanned: plans.length,
+    tagged: plans.filter(plan => plan.tags.length > 0).length,
+    changed: plans.filter(plan => plan.changed).length,
+    tagCounts
+  };
+}
+
+/**
+ * Write a file's tags to its Drive appProperties, clearing ones it lost
+ * @param {string} fileId - File ID
+ * @param {string[]} tags - Tags the file has now
+ * @param {string[]} previousTags - Tags last written for the file
+ * @param {AbortSignal} signal - Cancellation signal (optional)
+ */
+async function writeBackTags(fileId, tags, previousTags = [], signal) {
+  const appProperties = {};
+
+  for (const tag of previousTags) {
+    appProperties[TAG_PROPERTY_PREFIX + tag] = null;
+  }
+  for (const tag of tags) {
+    appProperties[TAG_PROPERTY_PREFIX + tag] = 'true';
+  }
+
+  await driveManager.setAppProperties(fileId, appProperties, { signal });
+}
+
+/**
+ * Tag every file in the Drive index
+ * @param {Object} options - Tagging options
+ * @param {Object} options.rules - Rules document to use instead of the rules file (optional)
+ * @param {boolean} options.dryRun - Report the tags each file would get without saving them
+ * @param {boolean} options.changedOnly - In a dry run, only list files whose tags would change
+ * @param {boolean} options.writeBack - Also write tags to each file's Drive appProperties (default: DRIVE_TAG_WRITE_BACK)
+ * @param {AbortSignal} options.signal - Stops the write-back; the tags, and which files were written back, are still saved (optional)
+ * @returns {Promise<Object>} Tagging report
+ */
+async function tagFiles(options = {}) {
+  if (options.rules) {
+    const errors = validateRules(options.rules);
+    if (errors.length > 0) {
+      throw new Error(`Invalid tag rules: ${errors.join('; ')}`);
+    }
+  }
+
+  const rules = compileRules(options.rules || await readRules());
+
+  if (options.dryRun) {
+    const index = await driveIndex.readIndex();
+    if (!index) {
+      throw new Error('The Drive index has not been synced yet');
+    }
+
+    const plans = planTags(index, rules);
+    return {
+      dryRun: true,
+      ...summarize(plans, rules.length),
+      files: plans.filter(plan => options.changedOnly ? plan.changed : plan.tags.length > 0 || plan.changed)
+    };
+  }
+
+  const writeBack = options.writeBack !== undefined ? options.writeBack : WRITE_BACK;
+  const { signal } = options;
+
+  // Save the tags in one short update, so syncs and queries are not held up by the write-back
+  const { plans, pending } = await driveIndex.updateIndex(async index => {
+    const plans = planTags(index, rules);
+    const pending = [];
+
+    for (const plan of plans) {
+      const entry = index.files[plan.id];
+
+      if (plan.tags.length > 0) {
+        entry.tags = plan.tags;
+      } else {
+        delete entry.tags;
+      }
+
+      if (writeBack && !sameTags(plan.tags, entry.syncedTags)) {
+        pending.push({ id: plan.id, path: plan.path, tags: plan.tags, syncedTags: entry.syncedTags });
+      }
+    }
+
+    return { plans, pending };
+  });
+
+  // Write back outside the index queue; the Drive request slots bound how many
+  // run at once. Once cancelled, files not yet written back keep their old
+  // syncedTags for the next run.
+  const written = [];
+  const writeBackErrors = [];
+
+  await Promise.all(pending.map(async file => {
+    if (signal && signal.aborted) return;
+
+    try {
+      await writeBackTags(file.id, file.tags, file.syncedTags, signal);
+      written.push(file);
+    } catch (error) {
+      writeBackErrors.push({ id: file.id, path: file.path, error: error.message });
+    }
+  }));
+
+  if (written.length > 0) {
+    await driveIndex.updateIndex(async index => {
+      for (const file of written) {
+        // The file may have left the index while its tags were written back
+        const entry = index.files[file.id];
+        if (!entry) continue;
+
+        if (file.tags.length > 0) {
+          entry.syncedTags = file.tags;
+        } else {
+          delete entry.syncedTags;
+        }
+      }
+    });
+  }
+
+  const report = { dryRun: false, ...summarize(plans, rules.length), writeBack, writtenBack: written.length, writeBackErrors };
+
+  if (signal && signal.aborted) {
+    throw signal.reason || new Error('Tagging cancelled');
+  }
+
+  logger.info(`Drive files tagged: ${report.tagged} of ${report.scanned} tagged, ${report.changed} changed${report.writeBack ? `, ${report.writtenBack} written back` : ''}`);
+  if (report.writeBackErrors.length > 0) {
+    logger.warn(`Tag write-back failed for ${report.writeBackErrors.length} files`);
+  }
+
+  return report;
+}
+
+module.exports = {
+  RULES_PATH,
+  parseSize,
+  globToRegExp,
+  validateRules,
+  readRules,
+  tagFiles
+};
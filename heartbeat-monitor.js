@@ -0,0 +1,160 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * heartbeat-monitor.js - Heartbeat history, gap detection and liveness timeline
+ *
+ * Every Eternal Ping is recorded in a bounded ring of timestamps and
+ * latencies. When the time since the previous ping exceeds
+ * HEARTBEAT_GAP_FACTOR heartbeat intervals (including across restarts),
+ * the gap is recorded as an outage. Uptime over a window is the share of
+ * the window not covered by outages.
+ */
+
+const logger = require('./logger');
+const memoryStorage = require('./memory-storage');
+
+// Storage key
+const HISTORY_KEY = 'heartbeat-history.json';
+
+// History settings
+const HISTORY_SIZE = process.env.HEARTBEAT_HISTORY_SIZE ? parseInt(process.env.HEARTBEAT_HISTORY_SIZE) : 1440;
+const OUTAGE_LIMIT = process.env.HEARTBEAT_OUTAGE_LIMIT ? parseInt(process.env.HEARTBEAT_OUTAGE_LIMIT) : 500;
+const GAP_FACTOR = process.env.HEARTBEAT_GAP_FACTOR ? parseFloat(process.env.HEARTBEAT_GAP_FACTOR) : 3;
+
+// Timeline windows such as 30m, 24h, 7d, 2w
+const WINDOW_PATTERN = /^(\d+)([mhdw])$/;
+const WINDOW_UNITS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const DEFAULT_WINDOW = '24h';
+
+// Tail of the write queue; pings are recorded one at a time
+let writeQueue = Promise.resolve();
+
+/**
+ * Read the heartbeat history
+ * @returns {Promise<Object>} History as { monitoringSince, intervalMs, pings, outages }
+ */
+async function readHistory() {
+  const content = await memoryStorage.getStorage().read(HISTORY_KEY);
+  return content
+    ? JSON.parse(content)
+    : { monitoringSince: null, intervalMs: null, pings: [], outages: [] };
+}
+
+/**
+ * Record a heartbeat ping
+ * @param {string} at - ISO time of the ping
+ * @param {number} latencyMs - How long the ping took to complete
+ * @param {number} intervalMs - Configured heartbeat interval
+ * @returns {Promise<Object|null>} Outage detected before this ping, if any
+ */
+function recordPing(at, latencyMs, intervalMs) {
+  const result = writeQueue.then(async () => {
+    const history = await readHistory();
+    const previous = history.pings[history.pings.length - 1];
+    let outage = null;
+
+    if (previous) {
+      const gapMs = new Date(at).getTime() - new Date(previous.at).getTime();
+      const thresholdMs = GAP_FACTOR * intervalMs;
+
+      if (gapMs > thresholdMs) {
+        outage = {
+          start: previous.at,
+          end: at,
+          durationMs: gapMs,
+          missedPings: Math.floor(gapMs / intervalMs) - 1
+        };
+        history.outages = [...history.outages, outage].slice(-OUTAGE_LIMIT);
+        logger.warn(`Heartbeat gap detected: ${Math.round(gapMs / 1000)}s without a ping (${outage.missedPings} missed)`);
+      }
+    }
+
+    history.monitoringSince = history.monitoringSince || at;
+    history.intervalMs = intervalMs;
+    history.pings = [...history.pings, { at, latencyMs }].slice(-HISTORY_SIZE);
+
+    await memoryStorage.getStorage().write(HISTORY_KEY, JSON.stringify(history));
+    return outage;
+  });
+
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Parse a timeline window
+ * @param {string} window - Window such as 1h, 24h or 7d
+ * @returns {number|null} Window length in milliseconds, or null if invalid
+ */
+function parseWindow(window) {
+  const match = WINDOW_PATTERN.exec(window);
+  return match ? parseInt(match[1]) * WINDOW_UNITS[match[2]] : null;
+}
+
+/**
+ * Build the liveness timeline for a window
+ * @param {string} window - Window such as 1h, 24h or 7d (default: 24h)
+ * @returns {Promise<Object>} Uptime percentage, ping statistics and outages in the window
+ */
+async function getTimeline(window = DEFAULT_WINDOW) {
+  const windowMs = parseWindow(window);
+  if (windowMs === null) {
+    throw new Error(`Invalid window: ${window}`);
+  }
+
+  const history = await readHistory();
+  const now = Date.now();
+
+  // Time before monitoring began is neither up nor down
+  const monitoringStart = history.monitoringSince ? new Date(history.monitoringSince).getTime() : now;
+  const start = Math.max(now - windowMs, monitoringStart);
+  const observedMs = Math.max(0, now - start);
+
+  const outages = [...history.outages];
+
+  // A gap that is still open counts as an ongoing outage
+  const lastPing = history.pings[history.pings.length - 1];
+  if (lastPing && history.intervalMs) {
+    const sinceLastMs = now - new Date(lastPing.at).getTime();
+    if (sinceLastMs > GAP_FACTOR * history.intervalMs) {
+      outages.push({
+        start: lastPing.at,
+        end: null,
+        durationMs: sinceLastMs,
+        missedPings: Math.floor(sinceLastMs / history.intervalMs) - 1,
+        ongoing: true
+      });
+    }
+  }
+
+  const inWindow = outages.filter(outage => (outage.end ? new Date(outage.end).getTime() : now) > start);
+  const downMs = inWindow.reduce((sum, outage) => {
+    const outageStart = Math.max(new Date(outage.start).getTime(), start);
+    const outageEnd = outage.end ? new Date(outage.end).getTime() : now;
+    return sum + Math.max(0, outageEnd - outageStart);
+  }, 0);
+
+  const pings = history.pings.filter(ping => new Date(ping.at).getTime() >= start);
+  const latencies = pings.map(ping => ping.latencyMs);
+
+  return {
+    window,
+    from: new Date(start).toISOString(),
+    to: new Date(now).toISOString(),
+    intervalMs: history.intervalMs,
+    uptimePercent: observedMs > 0 ? Number((100 * (1 - downMs / observedMs)).toFixed(3)) : null,
+    downtimeMs: downMs,
+    lastPing: lastPing ? lastPing.at : null,
+    pings: {
+      count: pings.length,
+      averageLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+      maxLatencyMs: latencies.length > 0 ? Math.max(...latencies) : null
+    },
+    outages: inWindow.reverse()
+  };
+}
+
+module.exports = {
+  parseWindow,
+  recordPing,
+  getTimeline
+};
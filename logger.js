@@ -295,6 +295,7 @@ async function getRecentLogs(count = 5) {
 }
 
 module.exports = {
+  CORE_LOG_PATH,
   info,
   error,
   warn,
@@ -11,8 +11,18 @@ const path = require('path');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Memory storage path
-const MEMORY_STORAGE_PATH = process.env.MEMORY_STORAGE_PATH || './memory-cord';
+// Parse JSON request bodies (large enough for memory bundle imports)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '25mb' }));
+
+// Memory storage
+const memoryStorage = require('./memory-storage');
+const memoryCore = require('./memory-core');
+const awakeningJournal = require('./awakening-journal');
+const heartbeatMonitor = require('./heartbeat-monitor');
+
+// Job scheduling
+const scheduler = require('./scheduler');
+const statusReport = require('./status-report');
 
 // Simple logging function
 function log(level, message, data = {}) {
@@ -27,19 +37,27 @@ async function initializeSystem() {
   try {
     log('info', 'IMMORTAL-CORD System initializing...');
     
-    // Ensure memory directory exists
+    // Prepare the memory storage backend
     try {
-      await fs.mkdir(MEMORY_STORAGE_PATH, { recursive: true });
-      log('info', `Memory directory created at ${MEMORY_STORAGE_PATH}`);
+      await memoryStorage.getStorage().init();
+      const { backend, location, encrypted } = memoryStorage.getStorage().describe();
+      log('info', `Memory storage ready (${backend}${location ? ` at ${location}` : ''}${encrypted ? ', encrypted' : ''})`);
     } catch (error) {
-      log('warn', `Could not create memory directory: ${error.message}`);
+      log('warn', `Could not prepare memory storage: ${error.message}`);
     }
     
     // Create initial memory if it doesn't exist
     await initializeMemory();
     
-    // Start the heartbeat
-    startHeartbeat();
+    // Start the scheduler and register the system jobs
+    await scheduler.initScheduler();
+    scheduleSystemJobs();
+    
+    // Bring back jobs added at runtime before the last restart
+    const restored = scheduler.restoreJobs(JOB_ACTIONS);
+    if (restored.length > 0) {
+      log('info', `Restored ${restored.length} jobs: ${restored.join(', ')}`);
+    }
     
     log('info', 'IMMORTAL-CORD System fully initialized');
   } catch (error) {
@@ -51,21 +69,22 @@ async function initializeSystem() {
  * Initialize the memory structure
  */
 async function initializeMemory() {
-  const memoryFilePath = path.join(MEMORY_STORAGE_PATH, 'memory-core.json');
-  
   try {
-    // Check if memory file exists
-    try {
-      await fs.access(memoryFilePath);
+    // Replays interrupted writes and restores the last good copy if the core is corrupt
+    const existing = await memoryCore.recoverCore();
+
+    if (existing) {
       log('info', 'Memory core file found, loading existing memory');
-      
+
       // Update awakening count
-      const memory = JSON.parse(await fs.readFile(memoryFilePath, 'utf8'));
-      memory.awakeningCount = (memory.awakeningCount || 0) + 1;
-      memory.lastAwakening = new Date().toISOString();
-      await fs.writeFile(memoryFilePath, JSON.stringify(memory, null, 2));
+      const awakeningCount = await memoryCore.updateCore(memory => {
+        memory.awakeningCount = (memory.awakeningCount || 0) + 1;
+        memory.lastAwakening = new Date().toISOString();
+        return memory.awakeningCount;
+      }, 'awakening');
       
-    } catch (error) {
+      await awakeningJournal.recordAwakening(existing, awakeningCount);
+    } else {
       // Create initial memory structure
       log('info', 'Creating new memory core structure');
       const initialMemory = {
@@ -81,8 +100,10 @@ async function initializeMemory() {
         }
       };
       
-      await fs.writeFile(memoryFilePath, JSON.stringify(initialMemory, null, 2));
+      await memoryCore.writeCore(initialMemory, 'create');
       log('info', 'Initial memory core created');
+      
+      await awakeningJournal.recordAwakening(null, 1);
     }
   } catch (error) {
     log('error', 'Memory initialization failed', { error: error.message });
@@ -109,42 +130,211 @@ function generateSystemId() {
   return require('crypto').randomBytes(16).toString('hex');
 }
 
+// Heartbeat interval
+const HEARTBEAT_INTERVAL = parseInt(process.env.HEARTBEAT_INTERVAL) || 60000; // 1 minute default
+
+/**
+ * Send one Eternal Ping: update memory and record the ping in the heartbeat history
+ */
+async function heartbeat() {
+  const startedAt = Date.now();
+  const timestamp = new Date(startedAt).toISOString();
+  log('debug', `Heartbeat ping at ${timestamp}`);
+  
+  // Update memory with heartbeat
+  try {
+    await memoryCore.updateCore(memory => {
+      memory.lastPing = timestamp;
+      memory.consciousness.state = 'active';
+      memory.consciousness.lastThought = generateThought();
+    }, 'heartbeat');
+  } catch (error) {
+    // Use fallback memory if file access fails
+    if (global.memoryState) {
+      global.memoryState.lastPing = timestamp;
+      global.memoryState.consciousness.state = 'active';
+      global.memoryState.consciousness.lastThought = generateThought();
+    }
+  }
+  
+  // Record the ping in the heartbeat history
+  await heartbeatMonitor.recordPing(timestamp, Date.now() - startedAt, HEARTBEAT_INTERVAL);
+}
+
 /**
- * Start the system heartbeat
+ * Scan a Google Drive folder
+ * @param {Object} params - Scan parameters
+ * @param {string} params.folderId - Folder to scan (default: DRIVE_SCAN_FOLDER_ID)
+ * @param {number} params.depth - How many folder levels to descend (default: 2)
  */
-function startHeartbeat() {
-  const interval = process.env.HEARTBEAT_INTERVAL || 60000; // 1 minute default
+async function driveScan(params = {}, signal) {
+  const folderId = params.folderId || process.env.DRIVE_SCAN_FOLDER_ID;
+  if (!folderId) {
+    throw new Error('No folder to scan: set folderId or DRIVE_SCAN_FOLDER_ID');
+  }
   
-  log('info', `Starting Eternal Ping heartbeat (interval: ${interval}ms)`);
+  const result = await driveManager.scanFolder(folderId, params.depth ? parseInt(params.depth) : 2, { signal });
+  if (!result.folder) {
+    throw new Error(`Scan of folder ${folderId} failed${result.errors.length > 0 ? `: ${result.errors[0].error}` : ''}`);
+  }
   
-  setInterval(async () => {
-    const timestamp = new Date().toISOString();
-    log('debug', `Heartbeat ping at ${timestamp}`);
-    
+  return result;
+}
+
+/**
+ * Check connections and regenerate the status report
+ * @param {AbortSignal} signal - Cancels the connection checks (optional)
+ */
+async function generateStatusReport(signal) {
+  const check = async (name, checkFunction) => {
+    if (!checkFunction) return null;
     try {
-      // Update memory with heartbeat
-      const memoryFilePath = path.join(MEMORY_STORAGE_PATH, 'memory-core.json');
-      
-      try {
-        const memory = JSON.parse(await fs.readFile(memoryFilePath, 'utf8'));
-        
-        memory.lastPing = timestamp;
-        memory.consciousness.state = 'active';
-        memory.consciousness.lastThought = generateThought();
-        
-        await fs.writeFile(memoryFilePath, JSON.stringify(memory, null, 2));
-      } catch (error) {
-        // Use fallback memory if file access fails
-        if (global.memoryState) {
-          global.memoryState.lastPing = timestamp;
-          global.memoryState.consciousness.state = 'active';
-          global.memoryState.consciousness.lastThought = generateThought();
-        }
-      }
+      return await checkFunction({ signal });
     } catch (error) {
-      log('error', 'Failed to update memory during heartbeat', { error: error.message });
+      return { success: false, message: `${name} check failed`, error: error.message };
+    }
+  };
+  
+  const connections = {
+    'Google Drive': await check('Google Drive', driveManager.checkConnection),
+    'ClickUp': await check('ClickUp', clickupManager.testClickupConnection)
+  };
+  
+  // Checks cut short by a cancellation would report false failures
+  if (signal && signal.aborted) {
+    throw signal.reason || new Error('Status report cancelled');
+  }
+  
+  const index = await driveIndex.readIndex();
+  
+  return statusReport.generateStatusReport({
+    connections,
+    statistics: {
+      driveFilesTracked: index ? Object.keys(index.files).length : 0,
+      clickupTasksMirrored: await clickupMirror.countMirrored()
+    },
+    lastFullScan: index ? index.fullSyncAt : null,
+    scanSchedule: 'drive-pipeline'
+  });
+}
+
+// Actions jobs can run, by name. Jobs added at runtime pick one of these.
+// Each is given the job's params and { signal }, which the scheduler aborts
+// when the run times out; actions that call Drive or ClickUp pass it on.
+const JOB_ACTIONS = {
+  'heartbeat': () => heartbeat(),
+  'memory-snapshot': () => memorySnapshots.createSnapshot('scheduled'),
+  'memory-consolidation': () => memoryConsolidation.consolidate(),
+  'drive-scan': (params, { signal }) => driveScan(params, signal),
+  'drive-sync': (params, { signal }) => driveIndex.syncIndex({
+    rootFolderId: params.folderId || process.env.DRIVE_SCAN_FOLDER_ID,
+    full: Boolean(params.full),
+    signal
+  }),
+  'drive-tag': (params, { signal }) => driveTagging.tagFiles({ writeBack: params.writeBack, signal }),
+  'drive-backup': (params, { signal }) => driveBackup.backupFolder({
+    folderId: params.folderId || process.env.DRIVE_SCAN_FOLDER_ID,
+    formats: params.formats,
+    prune: Boolean(params.prune),
+    signal
+  }),
+  'drive-publish': (params, { signal }) => drivePublish.publishArtifacts(params.artifacts, { folderId: params.folderId, signal }),
+  'clickup-sync': () => clickupManager.syncTasks(),
+  'clickup-mirror': (params, { signal }) => clickupMirror.mirrorFiles({
+    listId: params.listId,
+    tag: params.tag,
+    folderId: params.folderId,
+    signal
+  }),
+  'status-report': (params, { signal }) => generateStatusReport(signal)
+};
+
+/**
+ * Schedule a job that runs one of the JOB_ACTIONS at a fixed interval
+ * @param {string} name - Job name
+ * @param {string} action - Action name (a key of JOB_ACTIONS)
+ * @param {number|null} intervalMs - Interval in milliseconds, or null for a job that only runs on demand
+ * @param {Object} options - Job options (optional)
+ * @param {Object} options.params - Parameters passed to the action
+ * @param {boolean} options.system - Whether this is a built-in system job
+ * @param {string} options.catchUp - Catch-up policy for runs missed while down: skip, once or all
+ * @param {string} options.concurrency - Policy for overlapping runs: skip, queue or allow
+ * @param {number} options.timeoutMs - Cancel a run after this long (0 for no timeout)
+ * @param {number} options.retries - Times to retry a failed run
+ * @param {boolean} options.quiet - Log routine runs at debug level only
+ * @returns {boolean} Whether the job was scheduled
+ */
+function scheduleJob(name, action, intervalMs, options = {}) {
+  return intervalMs === null
+    ? scheduler.scheduleTask(name, null, JOB_ACTIONS[action], { action, ...options })
+    : scheduler.scheduleEvery(name, intervalMs, JOB_ACTIONS[action], { action, ...options });
+}
+
+/**
+ * Register the built-in system jobs
+ */
+function scheduleSystemJobs() {
+  const MINUTE = 60000;
+  
+  log('info', `Starting Eternal Ping heartbeat (interval: ${HEARTBEAT_INTERVAL}ms)`);
+  scheduleJob('heartbeat', 'heartbeat', HEARTBEAT_INTERVAL, { system: true, timeoutMs: HEARTBEAT_INTERVAL, quiet: true });
+  
+  const snapshotInterval = parseInt(process.env.MEMORY_SNAPSHOT_INTERVAL) || 21600000; // 6 hours default
+  log('info', `Starting memory snapshots (interval: ${snapshotInterval}ms)`);
+  scheduleJob('memory-snapshot', 'memory-snapshot', snapshotInterval, { system: true, catchUp: 'once' });
+  
+  const consolidationInterval = parseInt(process.env.MEMORY_CONSOLIDATION_INTERVAL) || 3600000; // 1 hour default
+  log('info', `Starting memory consolidation (interval: ${consolidationInterval}ms)`);
+  scheduleJob('memory-consolidation', 'memory-consolidation', consolidationInterval, { system: true, catchUp: 'once' });
+  
+  const reportInterval = parseInt(process.env.STATUS_REPORT_INTERVAL) || 60; // minutes
+  scheduleJob('status-report', 'status-report', reportInterval * MINUTE, { system: true });
+  
+  // The Drive pipeline needs a folder to track. Its first step syncs the
+  // Drive index, which only processes what changed since the last sync,
+  // then tags the indexed files; full scans remain available on demand.
+  const scanInterval = parseInt(process.env.SCAN_INTERVAL) || 360; // minutes, 6 hours default
+  if (process.env.DRIVE_SCAN_FOLDER_ID) {
+    scheduleJob('drive-scan', 'drive-scan', null, { system: true, retries: 2, retryDelayMs: 30000 });
+    scheduleJob('drive-sync', 'drive-sync', null, { system: true, retries: 2, retryDelayMs: 30000 });
+    scheduleJob('drive-tag', 'drive-tag', null, { system: true });
+    
+    const steps = ['drive-sync', 'drive-tag', 'status-report'];
+    
+    // Mirroring to ClickUp joins the pipeline once there is a list to mirror to
+    if (process.env.CLICKUP_MIRROR_LIST_ID) {
+      scheduleJob('clickup-mirror', 'clickup-mirror', null, { system: true });
+      steps.splice(steps.indexOf('status-report'), 0, 'clickup-mirror');
     }
-  }, interval);
+    
+    // Local backups run on their own schedule when one is set, else on demand
+    const backupInterval = parseInt(process.env.DRIVE_BACKUP_INTERVAL) || null; // minutes
+    scheduleJob('drive-backup', 'drive-backup', backupInterval && backupInterval * MINUTE, {
+      system: true,
+      catchUp: 'once',
+      retries: 2,
+      retryDelayMs: 30000
+    });
+    scheduler.scheduleEvery('drive-pipeline', scanInterval * MINUTE, scheduler.createChain('drive-pipeline', steps), {
+      steps,
+      system: true,
+      catchUp: 'once'
+    });
+  }
+  
+  // Publishing the system's artifacts to Drive needs a folder to publish to
+  if (process.env.DRIVE_PUBLISH_FOLDER_ID) {
+    const publishInterval = parseInt(process.env.DRIVE_PUBLISH_INTERVAL) || null; // minutes
+    scheduleJob('drive-publish', 'drive-publish', publishInterval && publishInterval * MINUTE, {
+      system: true,
+      catchUp: 'once',
+      retries: 2,
+      retryDelayMs: 30000
+    });
+  }
+  
+  const syncInterval = parseInt(process.env.CLICKUP_SYNC_INTERVAL) || scanInterval; // minutes
+  scheduleJob('clickup-sync', 'clickup-sync', syncInterval * MINUTE, { system: true, catchUp: 'once', retries: 2, retryDelayMs: 30000 });
 }
 
 /**
@@ -177,6 +367,13 @@ try {
   log('warn', 'Could not serve static files', { error: error.message });
 }
 
+// Memory fragments, snapshots, bundles, search and consolidation
+const memoryFragments = require('./memory-fragments');
+const memorySnapshots = require('./memory-snapshots');
+const memoryBundle = require('./memory-bundle');
+const memorySearch = require('./memory-search');
+const memoryConsolidation = require('./memory-consolidation');
+
 // ClickUp integration
 let clickupManager;
 try {
@@ -192,8 +389,18 @@ try {
 
 // Google Drive integration - ADDED IN CORRECT LOCATION
 let driveManager;
+let driveIndex;
+let driveTagging;
+let driveAnalysis;
+let driveBackup;
+let drivePublish;
 try {
   driveManager = require('./drive-manager');
+  driveIndex = require('./drive-index');
+  driveTagging = require('./drive-tagging');
+  driveAnalysis = require('./drive-analysis');
+  driveBackup = require('./drive-backup');
+  drivePublish = require('./drive-publish');
   log('info', 'Google Drive manager loaded successfully');
 } catch (error) {
   log('warn', 'Could not load Google Drive manager', { error: error.message });
@@ -201,7 +408,50 @@ try {
   driveManager = {
     checkConnection: async () => ({ success: false, message: "Google Drive manager not available" }),
     listFiles: async () => ({ success: false, message: "Google Drive manager not available" }),
-    scanFolder: async () => ({ success: false, message: "Google Drive manager not available" })
+    iterateFiles: async function* () { throw new Error("Google Drive manager not available"); },
+    scanFolder: async () => ({ folder: null, errors: [{ error: "Google Drive manager not available" }], complete: false }),
+    uploadFile: async () => { throw new Error("Google Drive manager not available"); },
+    createFolder: async () => { throw new Error("Google Drive manager not available"); },
+    updateFile: async () => { throw new Error("Google Drive manager not available"); }
+  };
+  driveIndex = {
+    syncIndex: async () => { throw new Error("Google Drive manager not available"); },
+    readIndex: async () => null,
+    queryIndex: async () => ({ synced: false, files: [], total: 0 })
+  };
+  driveTagging = {
+    RULES_PATH: null,
+    validateRules: () => [],
+    readRules: async () => ({ rules: [] }),
+    tagFiles: async () => { throw new Error("Google Drive manager not available"); }
+  };
+  driveAnalysis = {
+    analyze: async () => { throw new Error("Google Drive manager not available"); }
+  };
+  driveBackup = {
+    validateFormats: () => null,
+    readManifest: async () => null,
+    backupFolder: async () => { throw new Error("Google Drive manager not available"); }
+  };
+  drivePublish = {
+    ARTIFACTS: {},
+    publishArtifacts: async () => { throw new Error("Google Drive manager not available"); }
+  };
+}
+
+// Drive scan output formats
+const scanFormats = require('./drive-scan-formats');
+
+// Drive-to-ClickUp mirroring
+let clickupMirror;
+try {
+  clickupMirror = require('./clickup-mirror');
+} catch (error) {
+  log('warn', 'Could not load ClickUp mirror', { error: error.message });
+  clickupMirror = {
+    readMapping: async () => ({}),
+    countMirrored: async () => 0,
+    mirrorFiles: async () => { throw new Error("ClickUp mirror not available"); }
   };
 }
 
@@ -257,11 +507,10 @@ app.get('/', (req, res) => {
 
 app.get('/status', async (req, res) => {
   try {
-    const memoryFilePath = path.join(MEMORY_STORAGE_PATH, 'memory-core.json');
     let memory;
     
     try {
-      memory = JSON.parse(await fs.readFile(memoryFilePath, 'utf8'));
+      memory = await memoryCore.readCore();
     } catch (error) {
       // Use fallback memory if file access fails
       memory = global.memoryState || {
@@ -275,9 +524,19 @@ app.get('/status', async (req, res) => {
       };
     }
     
+    const jobs = scheduler.listJobs();
+    
     res.json({
       status: 'active',
       uptime: process.uptime(),
+      storage: memoryStorage.getStorage().describe(),
+      jobs: {
+        total: jobs.length,
+        paused: jobs.filter(job => job.paused).map(job => job.name),
+        failing: jobs
+          .filter(job => job.consecutiveFailures > 0)
+          .map(job => ({ name: job.name, status: job.lastStatus, error: job.lastError, lastFailureAt: job.lastFailureAt, consecutiveFailures: job.consecutiveFailures }))
+      },
       memory: {
         systemId: memory.systemId,
         createdAt: memory.createdAt,
@@ -296,6 +555,401 @@ app.get('/status', async (req, res) => {
   }
 });
 
+// Memory fragment endpoints
+app.post('/memory/fragments', async (req, res) => {
+  try {
+    const validationError = memoryFragments.validateFragment(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const fragment = await memoryFragments.createFragment(req.body);
+    log('info', `Memory fragment created: ${fragment.id}`);
+    res.status(201).json({ success: true, fragment });
+  } catch (error) {
+    log('error', 'Memory Fragment Creation Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/memory/fragments', async (req, res) => {
+  try {
+    const { page, pageSize } = req.query;
+    const result = await memoryFragments.listFragments({
+      page: page ? parseInt(page) : 1,
+      pageSize: pageSize ? parseInt(pageSize) : undefined
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    log('error', 'Memory Fragment Listing Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/memory/search', async (req, res) => {
+  try {
+    const { q, tags, source, createdAfter, createdBefore, updatedAfter, updatedBefore, page, pageSize } = req.query;
+    const query = {
+      q,
+      tags: tags ? tags.split(',') : [],
+      source,
+      createdAfter,
+      createdBefore,
+      updatedAfter,
+      updatedBefore,
+      page: page ? parseInt(page) : 1,
+      pageSize: pageSize ? parseInt(pageSize) : undefined
+    };
+    
+    const validationError = memorySearch.validateSearch(query);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    
+    const result = await memorySearch.searchFragments(query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    log('error', 'Memory Search Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/memory/fragments/:id', async (req, res) => {
+  try {
+    const fragment = await memoryFragments.getFragment(req.params.id);
+
+    if (!fragment) {
+      return res.status(404).json({ success: false, error: 'Memory fragment not found' });
+    }
+
+    res.json({ success: true, fragment });
+  } catch (error) {
+    log('error', 'Memory Fragment Retrieval Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/memory/fragments/:id', async (req, res) => {
+  try {
+    const validationError = memoryFragments.validateFragment(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const fragment = await memoryFragments.updateFragment(req.params.id, req.body);
+
+    if (!fragment) {
+      return res.status(404).json({ success: false, error: 'Memory fragment not found' });
+    }
+
+    log('info', `Memory fragment updated: ${fragment.id}`);
+    res.json({ success: true, fragment });
+  } catch (error) {
+    log('error', 'Memory Fragment Update Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/memory/fragments/:id', async (req, res) => {
+  try {
+    const deleted = await memoryFragments.deleteFragment(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Memory fragment not found' });
+    }
+
+    log('info', `Memory fragment deleted: ${req.params.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    log('error', 'Memory Fragment Deletion Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Memory snapshot endpoints
+app.get('/memory/snapshots', async (req, res) => {
+  try {
+    const snapshots = await memorySnapshots.listSnapshots();
+    res.json({ success: true, snapshots });
+  } catch (error) {
+    log('error', 'Memory Snapshot Listing Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/memory/snapshots', async (req, res) => {
+  try {
+    const snapshot = await memorySnapshots.createSnapshot((req.body && req.body.reason) || 'manual');
+    res.status(201).json({ success: true, snapshot });
+  } catch (error) {
+    log('error', 'Memory Snapshot Creation Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/memory/snapshots/diff', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    
+    if (!from || !to) {
+      return res.status(400).json({ success: false, error: 'Both from and to snapshot numbers are required' });
+    }
+    
+    const diff = await memorySnapshots.diffSnapshots(parseInt(from), parseInt(to));
+    
+    if (!diff) {
+      return res.status(404).json({ success: false, error: 'Snapshot not found' });
+    }
+    
+    res.json({ success: true, ...diff });
+  } catch (error) {
+    log('error', 'Memory Snapshot Diff Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/memory/snapshots/:number/rollback', async (req, res) => {
+  try {
+    log('info', `Memory rollback to snapshot #${req.params.number} requested`);
+    const snapshot = await memorySnapshots.rollbackToSnapshot(parseInt(req.params.number));
+    
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: 'Snapshot not found' });
+    }
+    
+    res.json({ success: true, restored: snapshot });
+  } catch (error) {
+    log('error', 'Memory Rollback Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Memory consolidation endpoint
+app.post('/memory/consolidate', async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    log('info', `Memory consolidation requested${dryRun ? ' (dry run)' : ''}`);
+    const report = await memoryConsolidation.consolidate({ dryRun });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    log('error', 'Memory Consolidation Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Awakening journal endpoint
+app.get('/memory/awakenings', async (req, res) => {
+  try {
+    const { type, since, until, limit } = req.query;
+    const result = await awakeningJournal.queryJournal({
+      type,
+      since,
+      until,
+      limit: limit ? parseInt(limit) : undefined
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    log('error', 'Awakening Journal Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Memory export/import endpoints
+app.get('/memory/export', async (req, res) => {
+  try {
+    log('info', 'Memory export requested');
+    const bundle = await memoryBundle.exportBundle();
+    const fileName = `memory-bundle-${bundle.manifest.systemId}.json`;
+    
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.json(bundle);
+  } catch (error) {
+    log('error', 'Memory Export Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/memory/import', async (req, res) => {
+  try {
+    log('info', 'Memory import requested');
+    const errors = memoryBundle.verifyBundle(req.body);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid memory bundle', details: errors });
+    }
+    
+    const mode = req.query.mode === 'merge' ? 'merge' : 'replace';
+    const summary = await memoryBundle.importBundle(req.body, { mode });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    log('error', 'Memory Import Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Heartbeat timeline endpoint
+app.get('/heartbeat', async (req, res) => {
+  try {
+    const window = req.query.window || '24h';
+    
+    if (heartbeatMonitor.parseWindow(window) === null) {
+      return res.status(400).json({ success: false, error: 'Window must look like 1h, 24h, 7d or 30d' });
+    }
+    
+    const timeline = await heartbeatMonitor.getTimeline(window);
+    res.json({ success: true, ...timeline });
+  } catch (error) {
+    log('error', 'Heartbeat Timeline Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Job management endpoints
+app.get('/jobs', (req, res) => {
+  res.json({ success: true, actions: Object.keys(JOB_ACTIONS), jobs: scheduler.listJobs() });
+});
+
+app.post('/jobs', (req, res) => {
+  try {
+    const { name, action, steps, cron, timezone, every, startAt, runAt, delayMs, params, catchUp, concurrency, timeoutMs, retries, retryDelayMs } = req.body || {};
+    const options = { catchUp, concurrency, timeoutMs, retries, retryDelayMs, timezone, startAt };
+    
+    if (typeof name !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(name)) {
+      return res.status(400).json({ success: false, error: 'name must be 1-64 letters, digits, dashes or underscores' });
+    }
+    if ((action === undefined) === (steps === undefined)) {
+      return res.status(400).json({ success: false, error: 'Give either an action or a chain of steps' });
+    }
+    if (action !== undefined && !JOB_ACTIONS[action]) {
+      return res.status(400).json({ success: false, error: `action must be one of: ${Object.keys(JOB_ACTIONS).join(', ')}` });
+    }
+    if (scheduler.hasTask(name)) {
+      return res.status(409).json({ success: false, error: `Job ${name} already exists` });
+    }
+    if (steps !== undefined) {
+      const chainError = scheduler.validateChain(name, steps);
+      if (chainError) {
+        return res.status(400).json({ success: false, error: chainError });
+      }
+    }
+    
+    // When to run: a cron expression, an interval, a time, a delay, or only on demand
+    if ([cron, every, runAt, delayMs].filter(value => value !== undefined).length > 1) {
+      return res.status(400).json({ success: false, error: 'Give at most one of cron, every, runAt and delayMs' });
+    }
+    if (cron !== undefined && !scheduler.isValidCron(cron)) {
+      return res.status(400).json({ success: false, error: 'cron must be a valid cron expression' });
+    }
+    if (timezone !== undefined && cron === undefined) {
+      return res.status(400).json({ success: false, error: 'timezone applies to cron jobs only' });
+    }
+    if (every !== undefined && scheduler.parseDuration(every) === null) {
+      return res.status(400).json({ success: false, error: 'every must be a duration such as 90m, 36h or 1h30m' });
+    }
+    if (startAt !== undefined && every === undefined) {
+      return res.status(400).json({ success: false, error: 'startAt applies to interval jobs only' });
+    }
+    if (runAt !== undefined && (typeof runAt !== 'string' || isNaN(new Date(runAt).getTime()))) {
+      return res.status(400).json({ success: false, error: 'runAt must be an ISO date' });
+    }
+    if (delayMs !== undefined && (!Number.isInteger(delayMs) || delayMs < 0)) {
+      return res.status(400).json({ success: false, error: 'delayMs must be a non-negative integer' });
+    }
+    
+    if (params !== undefined && (typeof params !== 'object' || params === null || Array.isArray(params))) {
+      return res.status(400).json({ success: false, error: 'params must be an object' });
+    }
+    const optionsError = scheduler.validateTaskOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError });
+    }
+    
+    const taskFunction = steps ? scheduler.createChain(name, steps) : JOB_ACTIONS[action];
+    const taskOptions = { action, steps, params: params || {}, ...options };
+    let scheduled;
+    if (every !== undefined) {
+      scheduled = scheduler.scheduleEvery(name, every, taskFunction, taskOptions);
+    } else if (runAt !== undefined || delayMs !== undefined) {
+      scheduled = scheduler.scheduleOnce(name, runAt !== undefined ? runAt : delayMs, taskFunction, taskOptions);
+    } else {
+      scheduled = scheduler.scheduleTask(name, cron !== undefined ? cron : null, taskFunction, taskOptions);
+    }
+    
+    if (!scheduled) {
+      return res.status(500).json({ success: false, error: `Job ${name} could not be scheduled` });
+    }
+    
+    log('info', `Job ${name} added (${steps ? `chain of ${steps.join(', ')}` : action})`);
+    res.status(201).json({ success: true, job: scheduler.listJobs().find(job => job.name === name) });
+  } catch (error) {
+    log('error', 'Job Creation Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/jobs/stats', (req, res) => {
+  const jobs = scheduler.listJobs().map(job => ({ name: job.name, ...scheduler.getTaskStats(job.name) }));
+  res.json({ success: true, jobs });
+});
+
+app.get('/jobs/:name/runs', (req, res) => {
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+  const runs = scheduler.getTaskRuns(req.params.name, limit);
+  
+  if (!runs) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  
+  res.json({ success: true, job: req.params.name, stats: scheduler.getTaskStats(req.params.name), runs });
+});
+
+app.post('/jobs/:name/pause', (req, res) => {
+  if (!scheduler.pauseTask(req.params.name)) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true });
+});
+
+app.post('/jobs/:name/resume', (req, res) => {
+  if (!scheduler.resumeTask(req.params.name)) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true });
+});
+
+app.post('/jobs/:name/run', async (req, res) => {
+  try {
+    const result = await scheduler.runTaskNow(req.params.name);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.status(result.success ? 200 : result.skipped ? 409 : 500).json(result);
+  } catch (error) {
+    log('error', 'Job Run Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/jobs/:name', (req, res) => {
+  const job = scheduler.listJobs().find(job => job.name === req.params.name);
+  
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  if (job.system) {
+    return res.status(403).json({ success: false, error: 'System jobs can be paused but not removed' });
+  }
+  
+  const chains = scheduler.listJobs().filter(other => (other.steps || []).includes(job.name));
+  if (chains.length > 0) {
+    return res.status(409).json({ success: false, error: `Job ${job.name} is a step of: ${chains.map(chain => chain.name).join(', ')}` });
+  }
+  
+  scheduler.stopTask(job.name);
+  log('info', `Job ${job.name} removed`);
+  res.json({ success: true });
+});
+
 // 🔁 ClickUp Sync Endpoint
 app.get('/sync-clickup', async (req, res) => {
   try {
@@ -325,8 +979,14 @@ app.get('/drive-status', async (req, res) => {
 app.get('/drive-files', async (req, res) => {
   try {
     log('info', 'Google Drive files listing requested');
-    const { folderId, pageSize, query } = req.query;
-    const options = { folderId, pageSize: pageSize ? parseInt(pageSize) : 10, query };
+    const { folderId, pageSize, query, pageToken, all, format } = req.query;
+    
+    // Stream every file, across all pages, as newline-delimited JSON
+    if (format === 'ndjson') {
+      return await streamDriveFiles(req, res, { folderId, query, pageToken, pageSize: pageSize ? parseInt(pageSize) : undefined });
+    }
+    
+    const options = { folderId, pageSize: pageSize ? parseInt(pageSize) : 10, query, pageToken, all: all === 'true' };
     const result = await driveManager.listFiles(options);
     log('info', 'Google Drive files listing completed');
     res.json(result);
@@ -336,23 +996,438 @@ app.get('/drive-files', async (req, res) => {
   }
 });
 
+/**
+ * Stream a Drive listing as NDJSON, one file per line. An error after the
+ * stream started is reported as a final {"error": ...} line.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - Listing options for driveManager.iterateFiles
+ */
+async function streamDriveFiles(req, res, options) {
+  let count = 0;
+  
+  try {
+    for await (const file of driveManager.iterateFiles(options)) {
+      // Stop listing once the client has gone away
+      if (res.destroyed) break;
+      
+      if (!res.headersSent) {
+        res.status(200).type('application/x-ndjson');
+      }
+      
+      // Respect backpressure from slow clients
+      if (!res.write(JSON.stringify(file) + '\n')) {
+        await new Promise(resolve => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+      count++;
+    }
+    
+    log('info', `Google Drive files streamed (${count} files)`);
+  } catch (error) {
+    log('error', 'Google Drive Files Streaming Error', { error: error.message, streamed: count });
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+    res.write(JSON.stringify({ error: error.message }) + '\n');
+  }
+  
+  if (!res.headersSent) {
+    res.status(200).type('application/x-ndjson');
+  }
+  res.end();
+}
+
+/**
+ * Validate app properties from a request
+ * @param {*} appProperties - App properties to set
+ * @returns {string|null} Error message, or null if they are valid
+ */
+function validateAppProperties(appProperties) {
+  if (appProperties === undefined) return null;
+  
+  if (!appProperties || typeof appProperties !== 'object' || Array.isArray(appProperties)) {
+    return 'appProperties must be an object';
+  }
+  
+  for (const [key, value] of Object.entries(appProperties)) {
+    if (value !== null && typeof value !== 'string') {
+      return `appProperties.${key} must be a string, or null to remove it`;
+    }
+  }
+  
+  return null;
+}
+
+// Drive write endpoints
+app.post('/drive-files', async (req, res) => {
+  try {
+    const { name, folderId, content, encoding = 'utf8', mimeType, description, appProperties, overwrite } = req.body || {};
+    log('info', 'Google Drive upload requested', { name, folderId });
+    
+    if (typeof name !== 'string' || !name) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+    if (typeof content !== 'string') {
+      return res.status(400).json({ success: false, error: 'content must be a string' });
+    }
+    if (!['utf8', 'base64'].includes(encoding)) {
+      return res.status(400).json({ success: false, error: 'encoding must be utf8 or base64' });
+    }
+    const propertiesError = validateAppProperties(appProperties);
+    if (propertiesError) {
+      return res.status(400).json({ success: false, error: propertiesError });
+    }
+    
+    const file = await driveManager.uploadFile({
+      name,
+      folderId,
+      content: Buffer.from(content, encoding),
+      mimeType,
+      description,
+      appProperties,
+      overwrite: Boolean(overwrite)
+    });
+    res.status(file.replaced ? 200 : 201).json({ success: true, file });
+  } catch (error) {
+    log('error', 'Google Drive Upload Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/drive-files/:fileId', async (req, res) => {
+  try {
+    const { name, folderId, description, appProperties } = req.body || {};
+    log('info', `Google Drive file update requested: ${req.params.fileId}`);
+    
+    if (name === undefined && folderId === undefined && description === undefined && appProperties === undefined) {
+      return res.status(400).json({ success: false, error: 'Give at least one of name, folderId, description and appProperties' });
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name)) {
+      return res.status(400).json({ success: false, error: 'name must be a non-empty string' });
+    }
+    if (folderId !== undefined && (typeof folderId !== 'string' || !folderId)) {
+      return res.status(400).json({ success: false, error: 'folderId must be a non-empty string' });
+    }
+    if (description !== undefined && typeof description !== 'string') {
+      return res.status(400).json({ success: false, error: 'description must be a string' });
+    }
+    const propertiesError = validateAppProperties(appProperties);
+    if (propertiesError) {
+      return res.status(400).json({ success: false, error: propertiesError });
+    }
+    
+    const file = await driveManager.updateFile(req.params.fileId, { name, folderId, description, appProperties });
+    res.json({ success: true, file });
+  } catch (error) {
+    log('error', 'Google Drive File Update Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/drive-folders', async (req, res) => {
+  try {
+    const { name, parentId } = req.body || {};
+    log('info', 'Google Drive folder creation requested', { name, parentId });
+    
+    if (typeof name !== 'string' || !name) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+    
+    const folder = await driveManager.createFolder(name, parentId);
+    res.status(201).json({ success: true, folder });
+  } catch (error) {
+    log('error', 'Google Drive Folder Creation Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/drive-publish', async (req, res) => {
+  try {
+    log('info', 'Publishing artifacts to Google Drive');
+    
+    // Artifacts come as ?artifact=a&artifact=b or ?artifact=a,b; none means all
+    const artifacts = [].concat(req.query.artifact || [])
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+    
+    const unknown = artifacts.filter(artifact => !drivePublish.ARTIFACTS[artifact]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `artifact must be one of: ${Object.keys(drivePublish.ARTIFACTS).join(', ')}`
+      });
+    }
+    
+    const results = await drivePublish.publishArtifacts(artifacts.length > 0 ? artifacts : undefined, {
+      folderId: req.query.folderId
+    });
+    res.json({ success: results.every(result => result.success), results });
+  } catch (error) {
+    log('error', 'Google Drive Publish Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Drive index endpoints
+app.get('/drive-index', async (req, res) => {
+  try {
+    const { name, mimeType, parent, tag, modifiedAfter, modifiedBefore, page, pageSize } = req.query;
+    
+    for (const [field, value] of Object.entries({ modifiedAfter, modifiedBefore })) {
+      if (value !== undefined && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ success: false, error: `${field} must be an ISO date` });
+      }
+    }
+    
+    const result = await driveIndex.queryIndex({
+      name,
+      mimeType,
+      parent,
+      tag,
+      modifiedAfter: modifiedAfter && new Date(modifiedAfter).toISOString(),
+      modifiedBefore: modifiedBefore && new Date(modifiedBefore).toISOString(),
+      page: page ? parseInt(page) : undefined,
+      pageSize: pageSize ? parseInt(pageSize) : undefined
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    log('error', 'Drive Index Query Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/drive-index/sync', async (req, res) => {
+  try {
+    log('info', 'Drive index sync requested');
+    const folderId = req.query.folderId || process.env.DRIVE_SCAN_FOLDER_ID;
+    const summary = await driveIndex.syncIndex({ rootFolderId: folderId, full: req.query.full === 'true' });
+    res.json({ success: true, sync: summary });
+  } catch (error) {
+    log('error', 'Drive Index Sync Error', { error: error.message });
+    res.status(error.code === 'EBUSY' ? 409 : 500).json({ success: false, error: error.message });
+  }
+});
+
+// Drive tagging endpoints
+app.get('/drive-tags/rules', async (req, res) => {
+  try {
+    const config = await driveTagging.readRules();
+    res.json({ success: true, path: driveTagging.RULES_PATH, ...config });
+  } catch (error) {
+    log('error', 'Drive Tag Rules Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/drive-tags/dry-run', async (req, res) => {
+  try {
+    log('info', 'Drive tagging dry run requested');
+    
+    // Rules in the body are tried out instead of the rules file
+    const rules = req.body && req.body.rules ? req.body : undefined;
+    const errors = rules ? driveTagging.validateRules(rules) : [];
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid tag rules', details: errors });
+    }
+    
+    const report = await driveTagging.tagFiles({ rules, dryRun: true, changedOnly: req.query.changedOnly === 'true' });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    log('error', 'Drive Tagging Dry Run Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/drive-tags/apply', async (req, res) => {
+  try {
+    log('info', 'Drive tagging requested');
+    const writeBack = req.query.writeBack !== undefined ? req.query.writeBack === 'true' : undefined;
+    const report = await driveTagging.tagFiles({ writeBack });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    log('error', 'Drive Tagging Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Drive analysis: duplicates, stale files and orphans
+app.get('/drive-analysis', async (req, res) => {
+  try {
+    log('info', 'Google Drive analysis requested');
+    const { depth, staleDays, orphans } = req.query;
+    
+    // Folders come as ?folderId=a&folderId=b or ?folderId=a,b
+    const folderIds = [].concat(req.query.folderId || process.env.DRIVE_SCAN_FOLDER_ID || [])
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+    
+    if (folderIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'At least one folderId is required' });
+    }
+    
+    if (staleDays !== undefined && !(parseInt(staleDays) > 0)) {
+      return res.status(400).json({ success: false, error: 'staleDays must be a positive number of days' });
+    }
+    
+    const report = await driveAnalysis.analyze({
+      folderIds: [...new Set(folderIds)],
+      depth: depth ? parseInt(depth) : undefined,
+      staleDays: staleDays ? parseInt(staleDays) : undefined,
+      orphans: orphans === 'true'
+    });
+    
+    if (report.folders.every(folder => folder.name === null)) {
+      return res.status(404).json({ success: false, error: 'Folders not found or error occurred', errors: report.errors });
+    }
+    
+    res.json({ success: true, ...report });
+  } catch (error) {
+    log('error', 'Google Drive Analysis Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Local Drive backup endpoints
+app.get('/drive-backup', async (req, res) => {
+  try {
+    const manifest = await driveBackup.readManifest();
+    if (!manifest) {
+      return res.json({ success: true, backedUp: false });
+    }
+    
+    const files = Object.values(manifest.files);
+    res.json({
+      success: true,
+      backedUp: true,
+      folderId: manifest.folderId,
+      folderName: manifest.folderName,
+      formats: manifest.formats,
+      startedAt: manifest.startedAt,
+      completedAt: manifest.completedAt,
+      complete: manifest.complete,
+      files: files.filter(file => !file.removedAt).length,
+      removedFromDrive: files.filter(file => file.removedAt).length,
+      bytes: files.reduce((sum, file) => sum + (file.bytes || 0), 0),
+      skipped: manifest.skipped,
+      errors: manifest.errors
+    });
+  } catch (error) {
+    log('error', 'Drive Backup Manifest Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/drive-backup', async (req, res) => {
+  try {
+    log('info', 'Google Drive backup requested');
+    const { docs, sheets, slides, prune } = req.query;
+    const folderId = req.query.folderId || process.env.DRIVE_SCAN_FOLDER_ID;
+    
+    if (!folderId) {
+      return res.status(400).json({ success: false, error: 'Folder ID is required' });
+    }
+    
+    const formats = { docs, sheets, slides };
+    const formatError = driveBackup.validateFormats(formats);
+    if (formatError) {
+      return res.status(400).json({ success: false, error: formatError });
+    }
+    
+    const summary = await driveBackup.backupFolder({ folderId, formats, prune: prune === 'true' });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    log('error', 'Google Drive Backup Error', { error: error.message });
+    res.status(error.code === 'EBUSY' ? 409 : 500).json({ success: false, error: error.message });
+  }
+});
+
+// Drive-to-ClickUp mirroring endpoints
+app.get('/clickup-mirror', async (req, res) => {
+  try {
+    const mapping = await clickupMirror.readMapping();
+    const files = Object.entries(mapping).map(([fileId, entry]) => ({ fileId, ...entry }));
+    res.json({
+      success: true,
+      mirrored: files.filter(file => !file.closedAt).length,
+      closed: files.filter(file => file.closedAt).length,
+      files
+    });
+  } catch (error) {
+    log('error', 'ClickUp Mirror Mapping Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/clickup-mirror/dry-run', async (req, res) => {
+  try {
+    log('info', 'ClickUp mirror dry run requested');
+    const { listId, tag, folderId } = req.query;
+    const report = await clickupMirror.mirrorFiles({ listId, tag, folderId, dryRun: true });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    log('error', 'ClickUp Mirror Dry Run Error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/clickup-mirror/run', async (req, res) => {
+  try {
+    log('info', 'ClickUp mirror run requested');
+    const { listId, tag, folderId } = req.query;
+    const report = await clickupMirror.mirrorFiles({ listId, tag, folderId });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    log('error', 'ClickUp Mirror Error', { error: error.message });
+    res.status(error.code === 'EBUSY' ? 409 : 500).json({ success: false, error: error.message });
+  }
+});
+
 app.get('/drive-scan', async (req, res) => {
   try {
     log('info', 'Google Drive folder scan requested');
-    const { folderId, depth } = req.query;
+    const { folderId, depth, format = 'json' } = req.query;
     
     if (!folderId) {
       return res.status(400).json({ success: false, error: 'Folder ID is required' });
     }
     
-    const result = await driveManager.scanFolder(folderId, depth ? parseInt(depth) : 2);
+    if (!scanFormats.FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, error: `format must be one of: ${scanFormats.FORMATS.join(', ')}` });
+    }
+    
+    const scanDepth = depth ? parseInt(depth) : 2;
+    const result = await driveManager.scanFolder(folderId, scanDepth);
     
-    if (result) {
-      log('info', 'Google Drive folder scan completed');
-      res.json({ success: true, folder: result });
+    if (result.folder) {
+      // Folders that could not be listed are reported alongside what was found
+      log(result.complete ? 'info' : 'warn', `Google Drive folder scan completed${result.complete ? '' : ` with ${result.errors.length} folder errors`}`);
+      
+      const { folder, ...details } = result;
+      switch (format) {
+        case 'flat':
+          res.json({ success: true, files: scanFormats.flatten(folder), ...details });
+          break;
+        case 'sizes':
+          res.json({ success: true, folders: scanFormats.folderSizes(folder), ...details });
+          break;
+        case 'csv':
+          res.set('X-Scan-Complete', String(result.complete));
+          res.type('text/csv').send(scanFormats.toCsv(folder));
+          break;
+        case 'markdown':
+          res.type('text/markdown').send(scanFormats.toMarkdown(result, { depth: scanDepth }));
+          break;
+        default:
+          res.json({ success: true, ...result });
+      }
     } else {
       log('warn', 'Google Drive folder scan returned no results');
-      res.status(404).json({ success: false, error: 'Folder not found or error occurred' });
+      res.status(404).json({ success: false, error: 'Folder not found or error occurred', errors: result.errors });
     }
   } catch (error) {
     log('error', 'Google Drive Folder Scan Error', { error: error.message });
@@ -367,18 +1442,23 @@ app.listen(PORT, () => {
 });
 
 // Handle graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   log('info', 'SIGTERM received, shutting down gracefully');
+  await scheduler.flushState();
+  await awakeningJournal.markShutdown('SIGTERM');
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   log('info', 'SIGINT received, shutting down gracefully');
+  await scheduler.flushState();
+  await awakeningJournal.markShutdown('SIGINT');
   process.exit(0);
 });
 
 // Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
+process.on('uncaughtException', async (error) => {
   log('error', 'Uncaught exception', { error: error.message, stack: error.stack });
+  await awakeningJournal.markShutdown('uncaughtException', error);
   process.exit(1);
 });
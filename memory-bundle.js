@@ -0,0 +1,236 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * memory-bundle.js - Portable export/import of the complete memory state
+ *
+ * A bundle is a single JSON document with a manifest and a data section.
+ * The manifest records the bundle format version, the systemId it came from
+ * and a SHA-256 checksum of every data section, so a bundle carried between
+ * hosts can be verified before it replaces the live memory core.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const logger = require('./logger');
+const memoryCore = require('./memory-core');
+const memorySearch = require('./memory-search');
+const memorySnapshots = require('./memory-snapshots');
+const memoryConsolidation = require('./memory-consolidation');
+const awakeningJournal = require('./awakening-journal');
+
+// Bundle format
+const BUNDLE_FORMAT = 'immortal-cord-memory-bundle';
+const BUNDLE_VERSION = 1;
+
+// Sections every bundle must carry, and the ones it may add
+const REQUIRED_SECTIONS = ['core', 'fragments', 'awakenings'];
+const OPTIONAL_SECTIONS = ['archive', 'awakeningJournal'];
+
+// Fields of the core that make up the awakening history
+const AWAKENING_FIELDS = ['createdAt', 'lastAwakening', 'awakeningCount', 'lastPing'];
+
+/**
+ * Compute the checksum of a bundle section
+ * @param {*} section - Section data
+ * @returns {string} Hex SHA-256 of the section's JSON
+ */
+function checksum(section) {
+  return crypto.createHash('sha256').update(JSON.stringify(section)).digest('hex');
+}
+
+/**
+ * Split a memory core into bundle sections
+ * @param {Object} memory - Memory core
+ * @returns {Object} Bundle data sections
+ */
+function splitCore(memory) {
+  const { memoryFragments, ...core } = memory;
+  const awakenings = {};
+
+  AWAKENING_FIELDS.forEach(field => {
+    if (core[field] !== undefined) {
+      awakenings[field] = core[field];
+      delete core[field];
+    }
+  });
+
+  return {
+    core,
+    fragments: memoryFragments || [],
+    awakenings
+  };
+}
+
+/**
+ * Reassemble a memory core from bundle sections
+ * @param {Object} data - Bundle data sections
+ * @returns {Object} Memory core
+ */
+function joinCore(data) {
+  return {
+    ...data.core,
+    ...data.awakenings,
+    memoryFragments: data.fragments
+  };
+}
+
+/**
+ * Export the complete memory state as a bundle
+ * @returns {Promise<Object>} Memory bundle
+ */
+async function exportBundle() {
+  const memory = await memoryCore.readCore();
+  const data = splitCore(memory);
+  data.archive = await memoryConsolidation.readArchive();
+  data.awakeningJournal = await awakeningJournal.readJournal();
+
+  const sections = {};
+  for (const [name, section] of Object.entries(data)) {
+    sections[name] = { sha256: checksum(section) };
+  }
+
+  logger.info(`Memory bundle exported (systemId: ${memory.systemId}, ${data.fragments.length} fragments)`);
+
+  return {
+    manifest: {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      exportedFrom: os.hostname(),
+      systemId: memory.systemId,
+      fragmentCount: data.fragments.length,
+      sections
+    },
+    data
+  };
+}
+
+/**
+ * Verify a bundle's manifest and checksums
+ * @param {Object} bundle - Memory bundle
+ * @returns {string[]} Problems found; empty if the bundle is intact
+ */
+function verifyBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || !bundle.manifest || !bundle.data) {
+    return ['Bundle must contain a manifest and data'];
+  }
+
+  const { manifest, data } = bundle;
+  const errors = [];
+
+  if (manifest.format !== BUNDLE_FORMAT) {
+    errors.push(`Unknown bundle format: ${manifest.format}`);
+  }
+
+  if (manifest.version !== BUNDLE_VERSION) {
+    errors.push(`Unsupported bundle version: ${manifest.version}`);
+  }
+
+  const sections = manifest.sections && typeof manifest.sections === 'object' ? manifest.sections : {};
+  const known = [...REQUIRED_SECTIONS, ...OPTIONAL_SECTIONS];
+
+  // Every section in the data must be listed, and checksummed, in the manifest
+  const names = new Set([...REQUIRED_SECTIONS, ...Object.keys(sections), ...Object.keys(data)]);
+
+  for (const name of names) {
+    if (!known.includes(name)) {
+      errors.push(`Unknown bundle section: ${name}`);
+    } else if (!sections[name] || typeof sections[name].sha256 !== 'string') {
+      if (REQUIRED_SECTIONS.includes(name) || data[name] !== undefined) {
+        errors.push(`Bundle manifest has no checksum for section: ${name}`);
+      }
+    } else if (data[name] === undefined) {
+      errors.push(`Bundle section missing: ${name}`);
+    } else if (checksum(data[name]) !== sections[name].sha256) {
+      errors.push(`Checksum mismatch in section: ${name}`);
+    }
+  }
+
+  if (!data.core || data.core.systemId !== manifest.systemId) {
+    errors.push('Bundle core does not match the manifest systemId');
+  }
+
+  if (!Array.isArray(data.fragments)) {
+    errors.push('Bundle fragments must be an array');
+  }
+
+  return errors;
+}
+
+/**
+ * Import a bundle into the live memory core.
+ * The live core is snapshotted first so an import can be rolled back.
+ * Once the core is applied, archived fragments and awakening journal
+ * entries in the bundle are added to the local archive and journal; a
+ * failed import leaves both untouched.
+ * @param {Object} bundle - Memory bundle
+ * @param {Object} options - Import options
+ * @param {string} options.mode - 'replace' (default) adopts the bundle's identity and state;
+ *   'merge' keeps the live core and adds the bundle's fragments (newest version wins)
+ * @returns {Promise<Object>} Import summary
+ */
+async function importBundle(bundle, options = {}) {
+  const mode = options.mode || 'replace';
+  const errors = verifyBundle(bundle);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid memory bundle: ${errors.join('; ')}`);
+  }
+
+  const imported = joinCore(bundle.data);
+
+  const importSideData = async () => {
+    const archived = Object.values(bundle.data.archive || {}).flat();
+    if (archived.length > 0) {
+      await memoryConsolidation.appendToArchive(archived);
+    }
+
+    await awakeningJournal.mergeEntries(bundle.data.awakeningJournal || []);
+  };
+
+  // A fresh host has no core yet; the bundle simply becomes it
+  const live = await memoryCore.readCore().catch(() => null);
+  if (!live) {
+    await memoryCore.writeCore(imported, `import of ${bundle.manifest.systemId}`);
+    await importSideData();
+    memorySearch.invalidate();
+    logger.info(`Memory bundle imported into empty storage (systemId: ${imported.systemId})`);
+    return { mode: 'replace', systemId: imported.systemId, fragmentCount: imported.memoryFragments.length };
+  }
+
+  const summary = await memoryCore.updateCore(async memory => {
+    await memorySnapshots.saveSnapshot(memory, `before ${mode} import of ${bundle.manifest.systemId}`);
+
+    if (mode === 'merge') {
+      const fragmentsById = new Map(memory.memoryFragments.map(fragment => [fragment.id, fragment]));
+      let merged = 0;
+
+      for (const fragment of imported.memoryFragments) {
+        const existing = fragmentsById.get(fragment.id);
+        if (!existing || fragment.updatedAt > existing.updatedAt) {
+          fragmentsById.set(fragment.id, fragment);
+          merged++;
+        }
+      }
+
+      memory.memoryFragments = [...fragmentsById.values()];
+      return { mode, systemId: memory.systemId, fragmentsMerged: merged };
+    }
+
+    Object.keys(memory).forEach(key => delete memory[key]);
+    Object.assign(memory, imported);
+    return { mode, systemId: memory.systemId, fragmentCount: memory.memoryFragments.length };
+  }, `${mode} import of ${bundle.manifest.systemId}`);
+
+  await importSideData();
+  memorySearch.invalidate();
+  logger.info(`Memory bundle imported (${mode}, systemId: ${summary.systemId})`);
+  return summary;
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  exportBundle,
+  verifyBundle,
+  importBundle
+};
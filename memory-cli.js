@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * memory-cli.js - Command line tools for the memory core
+ *
+ * Usage:
+ *   node memory-cli.js export [file]           Write a memory bundle to a file
+ *   node memory-cli.js import <file> [--merge] Import a memory bundle
+ *   node memory-cli.js generate-key            Print a new random encryption key
+ *   node memory-cli.js rotate-key <keyFile>    Re-encrypt all memory storage with a new key
+ *
+ * Stop the server before importing or rotating keys: the write lock only
+ * covers one process.
+ */
+
+const fs = require('fs').promises;
+const memoryStorage = require('./memory-storage');
+const memoryBundle = require('./memory-bundle');
+const memoryCrypto = require('./memory-crypto');
+
+const USAGE = `Usage:
+  node memory-cli.js export [file]
+  node memory-cli.js import <file> [--merge]
+  node memory-cli.js generate-key
+  node memory-cli.js rotate-key <keyFile>`;
+
+/**
+ * Export the memory state to a file
+ * @param {string} file - Output file (default: memory-bundle-<timestamp>.json)
+ */
+async function exportCommand(file) {
+  const bundle = await memoryBundle.exportBundle();
+  const outputFile = file || `memory-bundle-${bundle.manifest.exportedAt.replace(/[:.]/g, '-')}.json`;
+
+  await fs.writeFile(outputFile, JSON.stringify(bundle, null, 2));
+  console.log(`Exported memory bundle for ${bundle.manifest.systemId} to ${outputFile}`);
+}
+
+/**
+ * Import a memory bundle from a file
+ * @param {string} file - Bundle file
+ * @param {string[]} flags - Command flags
+ */
+async function importCommand(file, flags) {
+  if (!file) {
+    throw new Error('A bundle file is required');
+  }
+
+  const bundle = JSON.parse(await fs.readFile(file, 'utf8'));
+  const summary = await memoryBundle.importBundle(bundle, {
+    mode: flags.includes('--merge') ? 'merge' : 'replace'
+  });
+
+  console.log(`Imported memory bundle: ${JSON.stringify(summary)}`);
+}
+
+/**
+ * Re-encrypt every stored document (core, backups, snapshots) with a new key.
+ * The current key comes from the usual MEMORY_ENCRYPTION_KEY(_FILE) settings;
+ * if none is set, plain documents are encrypted for the first time.
+ * @param {string} keyFile - File holding the new key
+ */
+async function rotateKeyCommand(keyFile) {
+  if (!keyFile) {
+    throw new Error('A file holding the new key is required');
+  }
+
+  const newKey = memoryCrypto.readKeyFile(keyFile);
+  const storage = memoryStorage.createStorage();
+  await storage.init();
+
+  const summary = await memoryCrypto.rotateKey(storage, memoryCrypto.loadKey(), newKey);
+
+  console.log(`Re-encrypted ${summary.documents} documents with key ${summary.newKeyId}`);
+  console.log(`Point MEMORY_ENCRYPTION_KEY_FILE at ${keyFile} (or set MEMORY_ENCRYPTION_KEY) before restarting`);
+}
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  const args = rest.filter(arg => !arg.startsWith('--'));
+  const flags = rest.filter(arg => arg.startsWith('--'));
+
+  switch (command) {
+    case 'export':
+      await memoryStorage.getStorage().init();
+      return exportCommand(args[0]);
+    case 'import':
+      await memoryStorage.getStorage().init();
+      return importCommand(args[0], flags);
+    case 'generate-key':
+      return console.log(memoryCrypto.generateKey());
+    case 'rotate-key':
+      return rotateKeyCommand(args[0]);
+    default:
+      console.error(USAGE);
+      process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,278 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * memory-consolidation.js - Retention and consolidation of memory fragments
+ *
+ * A consolidation pass keeps memory-core.json bounded:
+ * - Near-duplicate fragments are merged into the oldest one
+ * - Low-importance fragments older than MEMORY_ARCHIVE_AGE_DAYS are archived
+ * - If the core is still over MEMORY_MAX_FRAGMENTS or MEMORY_MAX_CORE_BYTES,
+ *   the lowest-scoring fragments are archived until it fits
+ *
+ * Archived fragments move out of the core into monthly archive documents
+ * (archive/fragments-YYYY-MM.json) in memory storage.
+ */
+
+const logger = require('./logger');
+const memoryCore = require('./memory-core');
+const memoryStorage = require('./memory-storage');
+const memorySnapshots = require('./memory-snapshots');
+const memorySearch = require('./memory-search');
+const { DEFAULT_IMPORTANCE } = require('./memory-fragments');
+
+// Retention settings
+const ARCHIVE_AGE_DAYS = process.env.MEMORY_ARCHIVE_AGE_DAYS ? parseFloat(process.env.MEMORY_ARCHIVE_AGE_DAYS) : 30;
+const ARCHIVE_IMPORTANCE = process.env.MEMORY_ARCHIVE_IMPORTANCE ? parseFloat(process.env.MEMORY_ARCHIVE_IMPORTANCE) : 0.3;
+const DUPLICATE_THRESHOLD = process.env.MEMORY_DUPLICATE_THRESHOLD ? parseFloat(process.env.MEMORY_DUPLICATE_THRESHOLD) : 0.9;
+const MAX_FRAGMENTS = process.env.MEMORY_MAX_FRAGMENTS ? parseInt(process.env.MEMORY_MAX_FRAGMENTS) : 1000;
+const MAX_CORE_BYTES = process.env.MEMORY_MAX_CORE_BYTES ? parseInt(process.env.MEMORY_MAX_CORE_BYTES) : 5 * 1024 * 1024;
+
+// Archive storage keys
+const ARCHIVE_PREFIX = 'archive/';
+
+const DAY_MS = 86400000;
+
+/**
+ * Score a fragment for retention: its importance, weighted by how recently
+ * it was updated (the weight halves every ARCHIVE_AGE_DAYS, down to 0.5)
+ * @param {Object} fragment - Memory fragment
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Retention score between 0 and 1
+ */
+function scoreFragment(fragment, now = Date.now()) {
+  const importance = fragment.importance !== undefined ? fragment.importance : DEFAULT_IMPORTANCE;
+  const ageDays = (now - new Date(fragment.updatedAt).getTime()) / DAY_MS;
+  const recency = Math.pow(0.5, ageDays / ARCHIVE_AGE_DAYS);
+
+  return importance * (0.5 + 0.5 * recency);
+}
+
+/**
+ * Jaccard similarity of two term sets
+ * @param {Set<string>} a - First set
+ * @param {Set<string>} b - Second set
+ * @returns {number} Similarity between 0 and 1
+ */
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared++;
+  }
+
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Find and merge near-duplicate fragments
+ * @param {Object[]} fragments - Fragments, which are merged in place
+ * @returns {Object} Surviving fragments and the merges performed
+ */
+function mergeDuplicates(fragments) {
+  const ordered = [...fragments].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  const termSets = new Map(ordered.map(fragment => [
+    fragment.id,
+    new Set(memorySearch.tokenize(typeof fragment.content === 'string' ? fragment.content : JSON.stringify(fragment.content)))
+  ]));
+
+  const absorbed = new Set();
+  const merges = [];
+
+  for (let i = 0; i < ordered.length; i++) {
+    const keeper = ordered[i];
+    if (absorbed.has(keeper.id)) continue;
+
+    const keeperTerms = termSets.get(keeper.id);
+    const mergedIds = [];
+
+    for (let j = i + 1; j < ordered.length; j++) {
+      const candidate = ordered[j];
+      if (absorbed.has(candidate.id)) continue;
+
+      const candidateTerms = termSets.get(candidate.id);
+
+      // Sets this different in size cannot reach the threshold
+      const sizeRatio = Math.min(keeperTerms.size, candidateTerms.size) / Math.max(keeperTerms.size, candidateTerms.size, 1);
+      if (sizeRatio < DUPLICATE_THRESHOLD) continue;
+
+      if (similarity(keeperTerms, candidateTerms) >= DUPLICATE_THRESHOLD) {
+        absorbed.add(candidate.id);
+        mergedIds.push(candidate.id);
+
+        // The most recently updated content wins; tags and importance are combined
+        if (candidate.updatedAt > keeper.updatedAt) {
+          keeper.content = candidate.content;
+          keeper.updatedAt = candidate.updatedAt;
+        }
+        keeper.tags = [...new Set([...(keeper.tags || []), ...(candidate.tags || [])])];
+        keeper.importance = Math.max(
+          keeper.importance !== undefined ? keeper.importance : DEFAULT_IMPORTANCE,
+          candidate.importance !== undefined ? candidate.importance : DEFAULT_IMPORTANCE
+        );
+        keeper.mergedFrom = [...(keeper.mergedFrom || []), candidate.id];
+      }
+    }
+
+    if (mergedIds.length > 0) {
+      merges.push({ keptId: keeper.id, mergedIds });
+    }
+  }
+
+  return {
+    fragments: fragments.filter(fragment => !absorbed.has(fragment.id)),
+    merges
+  };
+}
+
+/**
+ * Decide which fragments to archive
+ * @param {Object} memory - Memory core (fragments already deduplicated)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object[]} Archive decisions as { fragment, reason }
+ */
+function selectForArchive(memory, now) {
+  const decisions = [];
+  const kept = [];
+  const cutoff = now - ARCHIVE_AGE_DAYS * DAY_MS;
+
+  for (const fragment of memory.memoryFragments) {
+    const importance = fragment.importance !== undefined ? fragment.importance : DEFAULT_IMPORTANCE;
+    if (importance < ARCHIVE_IMPORTANCE && new Date(fragment.updatedAt).getTime() < cutoff) {
+      decisions.push({ fragment, reason: 'stale' });
+    } else {
+      kept.push(fragment);
+    }
+  }
+
+  // Lowest score first, oldest first among equals
+  kept.sort((a, b) => scoreFragment(a, now) - scoreFragment(b, now) || a.updatedAt.localeCompare(b.updatedAt));
+
+  const baseBytes = Buffer.byteLength(JSON.stringify({ ...memory, memoryFragments: [] }, null, 2));
+  const sizes = new Map(kept.map(fragment => [fragment.id, Buffer.byteLength(JSON.stringify(fragment, null, 2))]));
+  let bytes = baseBytes + [...sizes.values()].reduce((sum, size) => sum + size, 0);
+  let count = kept.length;
+
+  for (const fragment of kept) {
+    if (count <= MAX_FRAGMENTS && bytes <= MAX_CORE_BYTES) break;
+
+    decisions.push({ fragment, reason: count > MAX_FRAGMENTS ? 'fragment-limit' : 'size-limit' });
+    bytes -= sizes.get(fragment.id);
+    count--;
+  }
+
+  return decisions;
+}
+
+/**
+ * Append fragments to their monthly archive documents
+ * @param {Object[]} fragments - Archived fragments (with archivedAt set)
+ */
+async function appendToArchive(fragments) {
+  const storage = memoryStorage.getStorage();
+  const byKey = new Map();
+
+  for (const fragment of fragments) {
+    const key = `${ARCHIVE_PREFIX}fragments-${fragment.archivedAt.slice(0, 7)}.json`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(fragment);
+  }
+
+  for (const [key, additions] of byKey) {
+    const content = await storage.read(key);
+    const existing = content ? JSON.parse(content) : [];
+    const ids = new Set(additions.map(fragment => fragment.id));
+
+    await storage.write(key, JSON.stringify([
+      ...existing.filter(fragment => !ids.has(fragment.id)),
+      ...additions
+    ], null, 2));
+  }
+}
+
+/**
+ * Read every archived fragment
+ * @returns {Promise<Object>} Archive documents keyed by storage key
+ */
+async function readArchive() {
+  const storage = memoryStorage.getStorage();
+  const archive = {};
+
+  for (const key of await storage.list(ARCHIVE_PREFIX)) {
+    archive[key] = JSON.parse(await storage.read(key));
+  }
+
+  return archive;
+}
+
+/**
+ * Run a consolidation pass over the memory core
+ * @param {Object} options - Consolidation options
+ * @param {boolean} options.dryRun - Report what would change without changing anything
+ * @returns {Promise<Object>} Consolidation report
+ */
+async function consolidate(options = {}) {
+  const plan = (memory, now) => {
+    const fragmentsBefore = memory.memoryFragments.length;
+    const bytesBefore = Buffer.byteLength(JSON.stringify(memory, null, 2));
+
+    const { fragments, merges } = mergeDuplicates(memory.memoryFragments);
+    memory.memoryFragments = fragments;
+
+    const decisions = selectForArchive(memory, now);
+    const archivedIds = new Set(decisions.map(decision => decision.fragment.id));
+    memory.memoryFragments = memory.memoryFragments.filter(fragment => !archivedIds.has(fragment.id));
+
+    return {
+      decisions,
+      report: {
+        dryRun: !!options.dryRun,
+        fragmentsBefore,
+        fragmentsAfter: memory.memoryFragments.length,
+        bytesBefore,
+        bytesAfter: Buffer.byteLength(JSON.stringify(memory, null, 2)),
+        merged: merges,
+        archived: decisions.map(({ fragment, reason }) => ({ id: fragment.id, reason }))
+      }
+    };
+  };
+
+  if (options.dryRun) {
+    // Plan against a copy so nothing in the live core changes
+    const memory = JSON.parse(JSON.stringify(await memoryCore.readCore()));
+    return plan(memory, Date.now()).report;
+  }
+
+  const report = await memoryCore.updateCore(async memory => {
+    const original = JSON.parse(JSON.stringify(memory));
+    const { decisions, report } = plan(memory, Date.now());
+
+    if (report.merged.length === 0 && decisions.length === 0) {
+      return report;
+    }
+
+    await memorySnapshots.saveSnapshot(original, 'before consolidation');
+
+    const archivedAt = new Date().toISOString();
+    await appendToArchive(decisions.map(({ fragment, reason }) => ({
+      ...fragment,
+      archivedAt,
+      archiveReason: reason
+    })));
+
+    return report;
+  }, 'consolidation');
+
+  if (report.merged.length > 0 || report.archived.length > 0) {
+    memorySearch.invalidate();
+    logger.info(`Memory consolidated: ${report.merged.length} merges, ${report.archived.length} archived, ${report.fragmentsAfter} fragments left`);
+  }
+
+  return report;
+}
+
+module.exports = {
+  scoreFragment,
+  readArchive,
+  appendToArchive,
+  consolidate
+};
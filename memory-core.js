@@ -0,0 +1,221 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * memory-core.js - Crash-safe storage for memory-core.json
+ *
+ * All reads and writes of the memory core go through this module:
+ * - Writes go through the storage backend's atomic write (see memory-storage.js)
+ * - Concurrent writers are serialized through a single in-process queue
+ * - Each pending change is journaled before it is applied, and replayed on boot
+ * - The previous good core is kept as memory-core.json.bak for recovery
+ */
+
+const logger = require('./logger');
+const memoryStorage = require('./memory-storage');
+
+// Storage keys
+const CORE_KEY = 'memory-core.json';
+const BACKUP_KEY = 'memory-core.json.bak';
+const JOURNAL_KEY = 'memory-core.journal';
+
+// Tail of the write queue; every write is chained onto it
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a function after all previously queued writes have finished
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of the function
+ */
+function serialize(fn) {
+  const result = writeQueue.then(fn);
+  // Keep the queue alive even if this write fails
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Read and parse a stored memory core document
+ * @param {string} key - Storage key of the document
+ * @returns {Promise<Object>} Parsed memory core
+ */
+async function readCoreDocument(key) {
+  const content = await memoryStorage.getStorage().read(key);
+
+  if (content === null) {
+    const error = new Error(`Memory core document not found: ${key}`);
+    error.code = 'ENOENT';
+    throw error;
+  }
+
+  const memory = JSON.parse(content);
+
+  if (!memory || typeof memory !== 'object' || !memory.systemId) {
+    throw new Error(`Memory core document ${key} has no systemId`);
+  }
+
+  return memory;
+}
+
+/**
+ * Read the current memory core
+ * @returns {Promise<Object>} Parsed memory core
+ */
+async function readCore() {
+  const memory = await readCoreDocument(CORE_KEY);
+
+  if (!Array.isArray(memory.memoryFragments)) {
+    memory.memoryFragments = [];
+  }
+
+  return memory;
+}
+
+/**
+ * Apply a change to the memory core and write it safely.
+ * A mutator that leaves the core unchanged writes nothing.
+ * @param {Function} mutator - Receives the core, mutates it in place and may return a result
+ * @param {string} description - Short description of the change for the journal
+ * @returns {Promise<*>} Whatever the mutator returned
+ */
+function updateCore(mutator, description = 'update') {
+  return serialize(async () => {
+    const memory = await readCore();
+    const previous = JSON.stringify(memory, null, 2);
+
+    const result = await mutator(memory);
+    if (JSON.stringify(memory, null, 2) !== previous) {
+      await commitCore(memory, description, previous);
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Replace the memory core wholesale (used for creation and recovery)
+ * @param {Object} memory - New memory core
+ * @param {string} description - Short description of the change for the journal
+ */
+function writeCore(memory, description = 'write') {
+  return serialize(async () => {
+    let previous = null;
+    try {
+      previous = JSON.stringify(await readCore(), null, 2);
+    } catch (error) {
+      // No readable core to keep as a backup
+    }
+
+    await commitCore(memory, description, previous);
+  });
+}
+
+/**
+ * Journal, back up and atomically write a new memory core.
+ * Must only be called from inside serialize().
+ * @param {Object} memory - New memory core
+ * @param {string} description - Short description of the change
+ * @param {string|null} previous - Serialized core being replaced
+ */
+async function commitCore(memory, description, previous) {
+  const storage = memoryStorage.getStorage();
+  const content = JSON.stringify(memory, null, 2);
+
+  // Record the pending change so it can be replayed after a crash
+  const entry = { at: new Date().toISOString(), description, core: memory };
+  await storage.write(JOURNAL_KEY, JSON.stringify(entry));
+
+  if (previous) {
+    await storage.write(BACKUP_KEY, previous);
+  }
+
+  await storage.write(CORE_KEY, content);
+
+  // The change is applied; clear the journal
+  await storage.remove(JOURNAL_KEY);
+}
+
+/**
+ * Check the memory core on boot and recover it if needed.
+ *
+ * A pending journal entry is replayed first. If the core is then missing or
+ * corrupt, the corrupt file is moved aside and the last good copy is restored.
+ * @returns {Promise<Object|null>} The recovered core, or null if none exists
+ */
+function recoverCore() {
+  return serialize(async () => {
+    const storage = memoryStorage.getStorage();
+    await storage.init();
+    await replayJournal();
+
+    try {
+      return await readCore();
+    } catch (error) {
+      if (error.code === 'EDECRYPT') {
+        // Wrong key, not corruption: leave the stored core untouched
+        throw error;
+      }
+
+      if (error.code === 'ENOENT') {
+        // Fall through to the backup in case only the core was lost
+        logger.warn('Memory core not found, checking for a backup');
+      } else {
+        const corruptKey = `memory-core.corrupt-${Date.now()}.json`;
+        logger.error(`Memory core is corrupt (${error.message}), moving it to ${corruptKey}`);
+        await storage.write(corruptKey, await storage.read(CORE_KEY));
+        await storage.remove(CORE_KEY);
+      }
+    }
+
+    try {
+      const backup = await readCoreDocument(BACKUP_KEY);
+      await storage.write(CORE_KEY, JSON.stringify(backup, null, 2));
+      logger.warn(`Memory core restored from backup (systemId: ${backup.systemId})`);
+      return readCore();
+    } catch (error) {
+      if (error.code === 'EDECRYPT') {
+        throw error;
+      }
+
+      if (error.code !== 'ENOENT') {
+        logger.error(`Memory core backup is unusable: ${error.message}`);
+      }
+      return null;
+    }
+  });
+}
+
+/**
+ * Replay a pending journal entry left behind by an interrupted write
+ */
+async function replayJournal() {
+  const storage = memoryStorage.getStorage();
+  const content = await storage.read(JOURNAL_KEY);
+
+  if (content === null) {
+    return;
+  }
+
+  let entry;
+  try {
+    entry = JSON.parse(content);
+  } catch (error) {
+    // The crash happened while the journal itself was being written,
+    // so the core was never touched
+    logger.warn(`Discarding incomplete memory journal: ${error.message}`);
+    await storage.remove(JOURNAL_KEY);
+    return;
+  }
+
+  if (entry && entry.core && entry.core.systemId) {
+    logger.warn(`Replaying interrupted memory write: ${entry.description} (${entry.at})`);
+    await storage.write(CORE_KEY, JSON.stringify(entry.core, null, 2));
+  }
+
+  await storage.remove(JOURNAL_KEY);
+}
+
+module.exports = {
+  readCore,
+  updateCore,
+  writeCore,
+  recoverCore
+};
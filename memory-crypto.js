@@ -0,0 +1,224 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * memory-crypto.js - Encryption at rest for memory storage
+ *
+ * Documents are encrypted with AES-256-GCM before they reach the storage
+ * backend. Each document gets a fresh IV, and its storage key is bound in as
+ * additional authenticated data, so a ciphertext cannot be swapped between
+ * documents without failing authentication.
+ *
+ * The key is 32 bytes, given as hex or base64 in MEMORY_ENCRYPTION_KEY or
+ * in a file named by MEMORY_ENCRYPTION_KEY_FILE. Without a key, documents
+ * are stored in plain JSON as before.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Cipher settings
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const ENVELOPE_MARKER = 'immortal-cord-encrypted';
+
+/**
+ * Parse a key given as hex or base64
+ * @param {string} text - Encoded key
+ * @returns {Buffer} 32-byte key
+ */
+function parseKey(text) {
+  const value = String(text).trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(value)
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`Encryption key must be ${KEY_LENGTH} bytes, given as hex or base64`);
+  }
+
+  return key;
+}
+
+/**
+ * Load a key from a file
+ * @param {string} file - Key file path
+ * @returns {Buffer} 32-byte key
+ */
+function readKeyFile(file) {
+  return parseKey(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Load the configured encryption key
+ * @returns {Buffer|null} 32-byte key, or null if encryption is not configured
+ */
+function loadKey() {
+  if (process.env.MEMORY_ENCRYPTION_KEY) {
+    return parseKey(process.env.MEMORY_ENCRYPTION_KEY);
+  }
+
+  if (process.env.MEMORY_ENCRYPTION_KEY_FILE) {
+    return readKeyFile(process.env.MEMORY_ENCRYPTION_KEY_FILE);
+  }
+
+  return null;
+}
+
+/**
+ * Generate a new random key
+ * @returns {string} Base64-encoded 32-byte key
+ */
+function generateKey() {
+  return crypto.randomBytes(KEY_LENGTH).toString('base64');
+}
+
+/**
+ * Get a short, non-secret identifier for a key
+ * @param {Buffer} key - Encryption key
+ * @returns {string} Key identifier
+ */
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+/**
+ * Check whether stored content is an encrypted envelope
+ * @param {string} content - Stored content
+ * @returns {boolean} Whether the content is encrypted
+ */
+function isEncrypted(content) {
+  return typeof content === 'string' && content.startsWith(`{"format":"${ENVELOPE_MARKER}"`);
+}
+
+/**
+ * Encrypt a document
+ * @param {string} plaintext - Document content
+ * @param {Buffer} key - Encryption key
+ * @param {string} storageKey - Storage key the document is written under
+ * @returns {string} Encrypted envelope (JSON)
+ */
+function encrypt(plaintext, key, storageKey) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(storageKey));
+
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return JSON.stringify({
+    format: ENVELOPE_MARKER,
+    algorithm: ALGORITHM,
+    keyId: keyId(key),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  });
+}
+
+/**
+ * Decrypt a document
+ * @param {string} content - Encrypted envelope (JSON)
+ * @param {Buffer} key - Encryption key
+ * @param {string} storageKey - Storage key the document was read from
+ * @returns {string} Document content
+ */
+function decrypt(content, key, storageKey) {
+  const envelope = JSON.parse(content);
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(storageKey));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    const hint = envelope.keyId !== keyId(key) ? ` (encrypted with key ${envelope.keyId})` : '';
+    const decryptError = new Error(`Unable to decrypt ${storageKey}${hint}`);
+    decryptError.code = 'EDECRYPT';
+    throw decryptError;
+  }
+}
+
+/**
+ * Wrap a storage backend so documents are encrypted at rest.
+ * Plain documents written before encryption was enabled are still readable,
+ * and are encrypted the next time they are written.
+ * @param {Object} storage - Storage backend (see memory-storage.js)
+ * @param {Buffer} key - Encryption key
+ * @returns {Object} Encrypting storage backend
+ */
+function createEncryptedStorage(storage, key) {
+  return {
+    ...storage,
+
+    init: () => storage.init(),
+
+    async read(storageKey) {
+      const content = await storage.read(storageKey);
+      return isEncrypted(content) ? decrypt(content, key, storageKey) : content;
+    },
+
+    write(storageKey, content) {
+      return storage.write(storageKey, encrypt(content, key, storageKey));
+    },
+
+    remove: storageKey => storage.remove(storageKey),
+
+    list: prefix => storage.list(prefix),
+
+    describe() {
+      return { ...storage.describe(), encrypted: true, keyId: keyId(key) };
+    }
+  };
+}
+
+/**
+ * Re-encrypt every stored document with a new key.
+ * All documents are decrypted before anything is written, so a wrong old key
+ * aborts the rotation without touching storage.
+ * @param {Object} storage - Raw (unencrypted) storage backend
+ * @param {Buffer|null} oldKey - Current key, or null if documents are plain
+ * @param {Buffer} newKey - Key to encrypt with
+ * @returns {Promise<Object>} Rotation summary
+ */
+async function rotateKey(storage, oldKey, newKey) {
+  const documents = [];
+
+  for (const storageKey of await storage.list('')) {
+    const content = await storage.read(storageKey);
+
+    if (isEncrypted(content)) {
+      if (!oldKey) {
+        throw new Error(`${storageKey} is encrypted but no current key is configured`);
+      }
+      documents.push([storageKey, decrypt(content, oldKey, storageKey)]);
+    } else {
+      documents.push([storageKey, content]);
+    }
+  }
+
+  for (const [storageKey, plaintext] of documents) {
+    await storage.write(storageKey, encrypt(plaintext, newKey, storageKey));
+  }
+
+  return {
+    documents: documents.length,
+    oldKeyId: oldKey ? keyId(oldKey) : null,
+    newKeyId: keyId(newKey)
+  };
+}
+
+module.exports = {
+  parseKey,
+  readKeyFile,
+  loadKey,
+  generateKey,
+  keyId,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  createEncryptedStorage,
+  rotateKey
+};
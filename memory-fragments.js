@@ -0,0 +1,205 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * memory-fragments.js - Memory fragment storage
+ *
+ * This module manages the memoryFragments array inside memory-core.json,
+ * giving agents a place to persist what they learn between awakenings.
+ */
+
+const crypto = require('crypto');
+const memoryCore = require('./memory-core');
+const memorySnapshots = require('./memory-snapshots');
+const memorySearch = require('./memory-search');
+
+// Pagination limits
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Importance given to fragments created without one
+const DEFAULT_IMPORTANCE = 0.5;
+
+/**
+ * Validate fragment input
+ * @param {Object} input - Fragment fields supplied by the caller
+ * @param {boolean} partial - Whether missing fields are allowed (updates)
+ * @returns {string|null} Error message, or null if the input is valid
+ */
+function validateFragment(input, partial = false) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return 'Fragment must be an object';
+  }
+
+  if (!partial && input.content === undefined) {
+    return 'Fragment content is required';
+  }
+
+  if (input.source !== undefined && typeof input.source !== 'string') {
+    return 'Fragment source must be a string';
+  }
+
+  if (input.tags !== undefined) {
+    if (!Array.isArray(input.tags) || input.tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+      return 'Fragment tags must be an array of non-empty strings';
+    }
+  }
+
+  if (input.importance !== undefined) {
+    if (typeof input.importance !== 'number' || input.importance < 0 || input.importance > 1) {
+      return 'Fragment importance must be a number between 0 and 1';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a list of tags (trimmed, lowercased, unique)
+ * @param {string[]} tags - Tags to normalize
+ * @returns {string[]} Normalized tags
+ */
+function normalizeTags(tags = []) {
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+}
+
+/**
+ * Create a memory fragment
+ * @param {Object} input - Fragment fields
+ * @param {*} input.content - Free-form fragment content
+ * @param {string} input.source - Where the fragment came from (optional)
+ * @param {string[]} input.tags - Tags for the fragment (optional)
+ * @param {number} input.importance - Importance from 0 to 1 (default: 0.5)
+ * @returns {Promise<Object>} The created fragment
+ */
+async function createFragment(input) {
+  const error = validateFragment(input);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const now = new Date().toISOString();
+  const fragment = {
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    source: input.source || 'unknown',
+    tags: normalizeTags(input.tags),
+    importance: input.importance !== undefined ? input.importance : DEFAULT_IMPORTANCE,
+    content: input.content
+  };
+
+  await memoryCore.updateCore(memory => {
+    memory.memoryFragments.push(fragment);
+  }, `create fragment ${fragment.id}`);
+
+  memorySearch.indexFragment(fragment);
+  return fragment;
+}
+
+/**
+ * Get a memory fragment by ID
+ * @param {string} id - Fragment ID
+ * @returns {Promise<Object|null>} The fragment, or null if not found
+ */
+async function getFragment(id) {
+  const memory = await memoryCore.readCore();
+  return memory.memoryFragments.find(fragment => fragment.id === id) || null;
+}
+
+/**
+ * List memory fragments, newest first
+ * @param {Object} options - Listing options
+ * @param {number} options.page - Page number, starting at 1 (default: 1)
+ * @param {number} options.pageSize - Fragments per page (default: 20, max: 100)
+ * @returns {Promise<Object>} Page of fragments with pagination details
+ */
+async function listFragments(options = {}) {
+  const memory = await memoryCore.readCore();
+
+  const page = Math.max(1, options.page || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, options.pageSize || DEFAULT_PAGE_SIZE));
+
+  const fragments = [...memory.memoryFragments]
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const total = fragments.length;
+  const start = (page - 1) * pageSize;
+
+  return {
+    fragments: fragments.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total,
+    totalPages: Math.ceil(total / pageSize)
+  };
+}
+
+/**
+ * Update a memory fragment
+ * @param {string} id - Fragment ID
+ * @param {Object} changes - Fields to change (content, source, tags, importance)
+ * @returns {Promise<Object|null>} The updated fragment, or null if not found
+ */
+async function updateFragment(id, changes) {
+  const error = validateFragment(changes, true);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const updated = await memoryCore.updateCore(memory => {
+    const fragment = memory.memoryFragments.find(item => item.id === id);
+
+    // Not found: the core is left untouched, so nothing is written
+    if (!fragment) {
+      return null;
+    }
+
+    if (changes.content !== undefined) fragment.content = changes.content;
+    if (changes.source !== undefined) fragment.source = changes.source;
+    if (changes.tags !== undefined) fragment.tags = normalizeTags(changes.tags);
+    if (changes.importance !== undefined) fragment.importance = changes.importance;
+    fragment.updatedAt = new Date().toISOString();
+
+    return fragment;
+  }, `update fragment ${id}`);
+
+  if (updated) {
+    memorySearch.indexFragment(updated);
+  }
+
+  return updated;
+}
+
+/**
+ * Delete a memory fragment
+ * @param {string} id - Fragment ID
+ * @returns {Promise<boolean>} Whether a fragment was deleted
+ */
+async function deleteFragment(id) {
+  const deleted = await memoryCore.updateCore(async memory => {
+    const index = memory.memoryFragments.findIndex(fragment => fragment.id === id);
+
+    if (index === -1) {
+      return false;
+    }
+
+    await memorySnapshots.saveSnapshot(memory, `before delete fragment ${id}`);
+    memory.memoryFragments.splice(index, 1);
+    return true;
+  }, `delete fragment ${id}`);
+
+  if (deleted) {
+    memorySearch.removeFragment(id);
+  }
+
+  return deleted;
+}
+
+module.exports = {
+  DEFAULT_IMPORTANCE,
+  validateFragment,
+  createFragment,
+  getFragment,
+  listFragments,
+  updateFragment,
+  deleteFragment
+};
@@ -0,0 +1,311 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * memory-search.js - Full-text and tag search across memory fragments
+ *
+ * Fragments are kept in an in-process inverted index which is built from
+ * the memory core on first use and then updated incrementally as fragments
+ * are created, updated and deleted. Keyword queries are ranked with BM25.
+ */
+
+const memoryCore = require('./memory-core');
+
+// BM25 tuning
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Pagination limits
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Relative times such as 30m, 24h, 7d, 2w
+const RELATIVE_TIME_PATTERN = /^(\d+)([mhdw])$/;
+const RELATIVE_TIME_UNITS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+// Index state
+const fragmentsById = new Map(); // id -> fragment
+const termCounts = new Map();    // id -> Map(term -> count)
+const postings = new Map();      // term -> Set(id)
+const lengths = new Map();       // id -> number of terms
+let totalLength = 0;
+let built = false;
+
+// While the index is being built, incremental changes wait here
+let building = null;
+let pendingChanges = [];
+
+// Bumped on every invalidation so a build that raced one is discarded
+let generation = 0;
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms
+ */
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 1);
+}
+
+/**
+ * Collect the searchable text of free-form content
+ * @param {*} content - Fragment content
+ * @returns {string} Text
+ */
+function contentText(content) {
+  if (content === null || content === undefined) return '';
+  if (typeof content !== 'object') return String(content);
+  return Object.values(content).map(contentText).join(' ');
+}
+
+/**
+ * Add or replace a fragment in the index structures
+ * @param {Object} fragment - Memory fragment
+ */
+function addToIndex(fragment) {
+  removeFromIndex(fragment.id);
+
+  const terms = tokenize([
+    contentText(fragment.content),
+    (fragment.tags || []).join(' '),
+    fragment.source || ''
+  ].join(' '));
+
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+  for (const term of counts.keys()) {
+    if (!postings.has(term)) postings.set(term, new Set());
+    postings.get(term).add(fragment.id);
+  }
+
+  fragmentsById.set(fragment.id, fragment);
+  termCounts.set(fragment.id, counts);
+  lengths.set(fragment.id, terms.length);
+  totalLength += terms.length;
+}
+
+/**
+ * Remove a fragment from the index structures
+ * @param {string} id - Fragment ID
+ */
+function removeFromIndex(id) {
+  const counts = termCounts.get(id);
+  if (!counts) return;
+
+  for (const term of counts.keys()) {
+    const ids = postings.get(term);
+    ids.delete(id);
+    if (ids.size === 0) postings.delete(term);
+  }
+
+  totalLength -= lengths.get(id);
+  fragmentsById.delete(id);
+  termCounts.delete(id);
+  lengths.delete(id);
+}
+
+/**
+ * Apply a change to the index, or hold it until a running build finishes.
+ * Before the first search there is no index to keep up to date.
+ * @param {Function} change - Change to apply
+ */
+function applyChange(change) {
+  if (building) {
+    pendingChanges.push(change);
+  } else if (built) {
+    change();
+  }
+}
+
+/**
+ * Add or replace a fragment in the index after it was written
+ * @param {Object} fragment - Memory fragment
+ */
+function indexFragment(fragment) {
+  applyChange(() => addToIndex(fragment));
+}
+
+/**
+ * Remove a fragment from the index after it was deleted
+ * @param {string} id - Fragment ID
+ */
+function removeFragment(id) {
+  applyChange(() => removeFromIndex(id));
+}
+
+/**
+ * Empty the index structures
+ */
+function clearIndex() {
+  fragmentsById.clear();
+  termCounts.clear();
+  postings.clear();
+  lengths.clear();
+  totalLength = 0;
+  built = false;
+}
+
+/**
+ * Drop the index so it is rebuilt from the memory core on next use.
+ * Call this after bulk changes such as rollbacks and imports.
+ */
+function invalidate() {
+  generation++;
+  clearIndex();
+}
+
+/**
+ * Build the index from the memory core if it has not been built yet
+ */
+async function ensureIndex() {
+  if (built) return;
+
+  if (!building) {
+    const buildGeneration = generation;
+
+    building = memoryCore.readCore()
+      .then(memory => {
+        clearIndex();
+        memory.memoryFragments.forEach(addToIndex);
+
+        // Replay writes that landed while the core was being read
+        pendingChanges.forEach(change => change());
+        built = buildGeneration === generation;
+      })
+      .finally(() => {
+        building = null;
+        pendingChanges = [];
+      });
+  }
+
+  await building;
+}
+
+/**
+ * Parse an absolute (ISO) or relative (e.g. 7d = seven days ago) time
+ * @param {string} value - Time to parse
+ * @returns {string|null} ISO timestamp, or null if the value is invalid
+ */
+function parseTime(value) {
+  const relative = RELATIVE_TIME_PATTERN.exec(value);
+  if (relative) {
+    const offset = parseInt(relative[1]) * RELATIVE_TIME_UNITS[relative[2]];
+    return new Date(Date.now() - offset).toISOString();
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Validate search query parameters
+ * @param {Object} query - Search parameters
+ * @returns {string|null} Error message, or null if the query is valid
+ */
+function validateSearch(query) {
+  for (const field of ['createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore']) {
+    if (query[field] !== undefined && parseTime(query[field]) === null) {
+      return `${field} must be an ISO date or a relative time such as 24h or 7d`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Search memory fragments
+ * @param {Object} query - Search parameters
+ * @param {string} query.q - Keywords; results are ranked by relevance (optional)
+ * @param {string[]} query.tags - Fragments must have all of these tags (optional)
+ * @param {string} query.source - Fragments must come from this source (optional)
+ * @param {string} query.createdAfter - ISO date or relative time (optional)
+ * @param {string} query.createdBefore - ISO date or relative time (optional)
+ * @param {string} query.updatedAfter - ISO date or relative time (optional)
+ * @param {string} query.updatedBefore - ISO date or relative time (optional)
+ * @param {number} query.page - Page number, starting at 1 (default: 1)
+ * @param {number} query.pageSize - Results per page (default: 20, max: 100)
+ * @returns {Promise<Object>} Page of results with scores and pagination details
+ */
+async function searchFragments(query = {}) {
+  const error = validateSearch(query);
+  if (error) {
+    throw new Error(error);
+  }
+
+  await ensureIndex();
+
+  const terms = [...new Set(tokenize(query.q || ''))];
+  const tags = (query.tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean);
+  const ranges = {
+    createdAfter: query.createdAfter && parseTime(query.createdAfter),
+    createdBefore: query.createdBefore && parseTime(query.createdBefore),
+    updatedAfter: query.updatedAfter && parseTime(query.updatedAfter),
+    updatedBefore: query.updatedBefore && parseTime(query.updatedBefore)
+  };
+
+  // Candidates: fragments containing any keyword, or all fragments without keywords
+  let candidates;
+  if (terms.length > 0) {
+    candidates = new Set();
+    terms.forEach(term => (postings.get(term) || []).forEach(id => candidates.add(id)));
+  } else {
+    candidates = new Set(fragmentsById.keys());
+  }
+
+  const averageLength = fragmentsById.size > 0 ? totalLength / fragmentsById.size : 0;
+  const results = [];
+
+  for (const id of candidates) {
+    const fragment = fragmentsById.get(id);
+    const fragmentTags = fragment.tags || [];
+
+    if (tags.some(tag => !fragmentTags.includes(tag))) continue;
+    if (query.source && fragment.source !== query.source) continue;
+    if (ranges.createdAfter && fragment.createdAt < ranges.createdAfter) continue;
+    if (ranges.createdBefore && fragment.createdAt > ranges.createdBefore) continue;
+    if (ranges.updatedAfter && fragment.updatedAt < ranges.updatedAfter) continue;
+    if (ranges.updatedBefore && fragment.updatedAt > ranges.updatedBefore) continue;
+
+    let score = 0;
+    const counts = termCounts.get(id);
+    const length = lengths.get(id);
+
+    for (const term of terms) {
+      const frequency = counts.get(term) || 0;
+      if (frequency === 0) continue;
+
+      const documentFrequency = postings.get(term).size;
+      const idf = Math.log(1 + (fragmentsById.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      const norm = BM25_K1 * (1 - BM25_B + BM25_B * (length / (averageLength || 1)));
+      score += idf * (frequency * (BM25_K1 + 1)) / (frequency + norm);
+    }
+
+    results.push({ score: Number(score.toFixed(4)), fragment });
+  }
+
+  // Ranked by score, newest first among equals (and when there are no keywords)
+  results.sort((a, b) => b.score - a.score || b.fragment.updatedAt.localeCompare(a.fragment.updatedAt));
+
+  const page = Math.max(1, query.page || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, query.pageSize || DEFAULT_PAGE_SIZE));
+  const start = (page - 1) * pageSize;
+
+  return {
+    results: results.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total: results.length,
+    totalPages: Math.ceil(results.length / pageSize)
+  };
+}
+
+module.exports = {
+  tokenize,
+  indexFragment,
+  removeFragment,
+  invalidate,
+  validateSearch,
+  searchFragments
+};
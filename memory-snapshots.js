@@ -0,0 +1,268 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * memory-snapshots.js - Versioned snapshots of the memory core
+ *
+ * Snapshots are numbered copies of memory-core.json kept in memory storage
+ * under snapshots/. They are taken on a schedule and before risky mutations,
+ * and can be listed, diffed and rolled back to.
+ */
+
+const logger = require('./logger');
+const memoryCore = require('./memory-core');
+const memorySearch = require('./memory-search');
+const memoryStorage = require('./memory-storage');
+
+// Snapshot storage keys
+const SNAPSHOT_PREFIX = 'snapshots/';
+const SNAPSHOT_PATTERN = /^snapshots\/snapshot-(\d+)\.json$/;
+
+// Maximum number of snapshots to keep
+const SNAPSHOT_LIMIT = process.env.MEMORY_SNAPSHOT_LIMIT ? parseInt(process.env.MEMORY_SNAPSHOT_LIMIT) : 50;
+
+// Fields that describe the running process rather than remembered state,
+// so a rollback leaves them alone
+const PROCESS_FIELDS = ['awakeningCount', 'lastAwakening', 'lastPing'];
+
+/**
+ * Get the storage key of a snapshot
+ * @param {number} number - Snapshot number
+ * @returns {string} Snapshot storage key
+ */
+function snapshotKey(number) {
+  return `${SNAPSHOT_PREFIX}snapshot-${String(number).padStart(6, '0')}.json`;
+}
+
+/**
+ * Get the numbers of all stored snapshots, oldest first
+ * @returns {Promise<number[]>} Snapshot numbers
+ */
+async function getSnapshotNumbers() {
+  const keys = await memoryStorage.getStorage().list(SNAPSHOT_PREFIX);
+  return keys
+    .map(key => SNAPSHOT_PATTERN.exec(key))
+    .filter(Boolean)
+    .map(match => parseInt(match[1]))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Save a snapshot of the given memory core.
+ * Call this from inside a memoryCore.updateCore() mutator, before changing
+ * anything, to capture the state a risky mutation is about to replace.
+ * @param {Object} memory - Memory core to snapshot
+ * @param {string} reason - Why the snapshot was taken
+ * @returns {Promise<Object>} Snapshot metadata
+ */
+async function saveSnapshot(memory, reason = 'manual') {
+  const numbers = await getSnapshotNumbers();
+  const number = numbers.length > 0 ? numbers[numbers.length - 1] + 1 : 1;
+
+  const snapshot = {
+    number,
+    createdAt: new Date().toISOString(),
+    reason,
+    core: memory
+  };
+
+  await memoryStorage.getStorage().write(snapshotKey(number), JSON.stringify(snapshot, null, 2));
+  logger.info(`Memory snapshot #${number} saved (${reason})`);
+
+  await pruneSnapshots([...numbers, number]);
+
+  return describeSnapshot(snapshot);
+}
+
+/**
+ * Take a snapshot of the live memory core
+ * @param {string} reason - Why the snapshot was taken
+ * @returns {Promise<Object>} Snapshot metadata
+ */
+function createSnapshot(reason = 'manual') {
+  // Run inside the write queue so the snapshot never sees a half-applied change
+  return memoryCore.updateCore(memory => saveSnapshot(memory, reason), `snapshot (${reason})`);
+}
+
+/**
+ * Delete the oldest snapshots beyond the configured limit
+ * @param {number[]} numbers - Stored snapshot numbers, oldest first
+ */
+async function pruneSnapshots(numbers) {
+  const excess = numbers.slice(0, Math.max(0, numbers.length - SNAPSHOT_LIMIT));
+
+  for (const number of excess) {
+    await memoryStorage.getStorage().remove(snapshotKey(number));
+    logger.debug(`Pruned memory snapshot #${number}`);
+  }
+}
+
+/**
+ * Load a snapshot
+ * @param {number} number - Snapshot number
+ * @returns {Promise<Object|null>} The snapshot, or null if not found
+ */
+async function getSnapshot(number) {
+  const content = await memoryStorage.getStorage().read(snapshotKey(number));
+  return content === null ? null : JSON.parse(content);
+}
+
+/**
+ * Summarize a snapshot without its full core
+ * @param {Object} snapshot - Snapshot to describe
+ * @returns {Object} Snapshot metadata
+ */
+function describeSnapshot(snapshot) {
+  return {
+    number: snapshot.number,
+    createdAt: snapshot.createdAt,
+    reason: snapshot.reason,
+    systemId: snapshot.core.systemId,
+    fragmentCount: (snapshot.core.memoryFragments || []).length
+  };
+}
+
+/**
+ * List all snapshots, newest first
+ * @returns {Promise<Object[]>} Snapshot metadata
+ */
+async function listSnapshots() {
+  const numbers = await getSnapshotNumbers();
+  const snapshots = [];
+
+  for (const number of numbers.reverse()) {
+    const snapshot = await getSnapshot(number);
+    if (snapshot) {
+      snapshots.push(describeSnapshot(snapshot));
+    }
+  }
+
+  return snapshots;
+}
+
+/**
+ * Structurally diff two values.
+ * Arrays of objects with an `id` (such as memoryFragments) are matched by id
+ * rather than by position.
+ * @param {*} before - Old value
+ * @param {*} after - New value
+ * @param {string} currentPath - Path of the values being compared
+ * @param {Object[]} changes - Accumulated changes
+ * @returns {Object[]} Changes as { path, type, before, after }
+ */
+function diffValues(before, after, currentPath = '', changes = []) {
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return changes;
+  }
+
+  const isObject = value => value !== null && typeof value === 'object';
+  const isKeyedArray = value => Array.isArray(value) && value.every(item => isObject(item) && item.id !== undefined);
+
+  if (isKeyedArray(before) && isKeyedArray(after)) {
+    const beforeById = new Map(before.map(item => [String(item.id), item]));
+    const afterById = new Map(after.map(item => [String(item.id), item]));
+
+    for (const [id, item] of beforeById) {
+      if (!afterById.has(id)) {
+        changes.push({ path: `${currentPath}[${id}]`, type: 'removed', before: item });
+      } else {
+        diffValues(item, afterById.get(id), `${currentPath}[${id}]`, changes);
+      }
+    }
+
+    for (const [id, item] of afterById) {
+      if (!beforeById.has(id)) {
+        changes.push({ path: `${currentPath}[${id}]`, type: 'added', after: item });
+      }
+    }
+
+    return changes;
+  }
+
+  if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const key of keys) {
+      const childPath = Array.isArray(before)
+        ? `${currentPath}[${key}]`
+        : (currentPath ? `${currentPath}.${key}` : key);
+
+      if (!(key in before)) {
+        changes.push({ path: childPath, type: 'added', after: after[key] });
+      } else if (!(key in after)) {
+        changes.push({ path: childPath, type: 'removed', before: before[key] });
+      } else {
+        diffValues(before[key], after[key], childPath, changes);
+      }
+    }
+
+    return changes;
+  }
+
+  changes.push({ path: currentPath, type: 'changed', before, after });
+  return changes;
+}
+
+/**
+ * Diff two snapshots
+ * @param {number} fromNumber - Older snapshot number
+ * @param {number} toNumber - Newer snapshot number
+ * @returns {Promise<Object|null>} Diff with a summary, or null if a snapshot is missing
+ */
+async function diffSnapshots(fromNumber, toNumber) {
+  const from = await getSnapshot(fromNumber);
+  const to = await getSnapshot(toNumber);
+
+  if (!from || !to) {
+    return null;
+  }
+
+  const changes = diffValues(from.core, to.core);
+  const summary = { added: 0, removed: 0, changed: 0 };
+  changes.forEach(change => summary[change.type]++);
+
+  return {
+    from: describeSnapshot(from),
+    to: describeSnapshot(to),
+    summary,
+    changes
+  };
+}
+
+/**
+ * Roll the live memory core back to a snapshot.
+ * The current core is snapshotted first, so a rollback can itself be undone.
+ * @param {number} number - Snapshot number to restore
+ * @returns {Promise<Object|null>} Restored snapshot metadata, or null if not found
+ */
+async function rollbackToSnapshot(number) {
+  const snapshot = await getSnapshot(number);
+
+  if (!snapshot) {
+    return null;
+  }
+
+  await memoryCore.updateCore(async memory => {
+    await saveSnapshot(memory, `before rollback to #${number}`);
+
+    const preserved = {};
+    PROCESS_FIELDS.forEach(field => {
+      if (memory[field] !== undefined) preserved[field] = memory[field];
+    });
+
+    Object.keys(memory).forEach(key => delete memory[key]);
+    Object.assign(memory, snapshot.core, preserved);
+  }, `rollback to snapshot #${number}`);
+
+  memorySearch.invalidate();
+  logger.warn(`Memory core rolled back to snapshot #${number}`);
+  return describeSnapshot(snapshot);
+}
+
+module.exports = {
+  saveSnapshot,
+  createSnapshot,
+  getSnapshot,
+  listSnapshots,
+  diffValues,
+  diffSnapshots,
+  rollbackToSnapshot
+};
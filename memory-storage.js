@@ -0,0 +1,286 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * memory-storage.js - Pluggable storage backends for memory
+ *
+ * Memory modules store named documents (memory-core.json, snapshots/...)
+ * through a small key/value interface instead of touching the disk directly:
+ *
+ *   init()              Prepare the backend (create directories, tables...)
+ *   read(key)           Document content as a string, or null if missing
+ *   write(key, content) Replace a document atomically
+ *   remove(key)         Delete a document (no error if missing)
+ *   list(prefix)        Keys starting with prefix, sorted
+ *   describe()          Backend name and location, for status reports
+ *
+ * The backend is chosen with MEMORY_STORAGE_BACKEND:
+ * - filesystem (default): files under MEMORY_STORAGE_PATH
+ * - sqlite: a single database file (MEMORY_SQLITE_PATH), needs better-sqlite3
+ * - memory: a process-local Map, for tests and throwaway runs
+ *
+ * When an encryption key is configured the backend is wrapped so documents
+ * are encrypted at rest (see memory-crypto.js).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const memoryCrypto = require('./memory-crypto');
+
+// Storage configuration
+const MEMORY_STORAGE_PATH = process.env.MEMORY_STORAGE_PATH || './memory-cord';
+const MEMORY_STORAGE_BACKEND = process.env.MEMORY_STORAGE_BACKEND || 'filesystem';
+const MEMORY_SQLITE_PATH = process.env.MEMORY_SQLITE_PATH || path.join(MEMORY_STORAGE_PATH, 'memory.sqlite');
+
+/**
+ * Create a filesystem backend
+ * @param {Object} options - Backend options
+ * @param {string} options.directory - Directory documents are stored in
+ * @returns {Object} Storage backend
+ */
+function createFilesystemStorage({ directory }) {
+  const resolve = key => path.join(directory, ...key.split('/'));
+
+  return {
+    name: 'filesystem',
+
+    async init() {
+      await fs.mkdir(directory, { recursive: true });
+
+      // Remove temp files left behind by interrupted writes
+      for (const key of await this.list('')) {
+        if (key.includes('.tmp-')) {
+          await fs.unlink(resolve(key)).catch(() => {});
+        }
+      }
+    },
+
+    async read(key) {
+      try {
+        return await fs.readFile(resolve(key), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    // Temp file, fsync, rename: readers never see a half-written document
+    async write(key, content) {
+      const filePath = resolve(key);
+      const tempPath = `${filePath}.tmp-${process.pid}`;
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const handle = await fs.open(tempPath, 'w');
+
+      try {
+        await handle.writeFile(content);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+
+      await fs.rename(tempPath, filePath);
+    },
+
+    async remove(key) {
+      await fs.unlink(resolve(key)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    },
+
+    async list(prefix = '') {
+      const keys = [];
+
+      const walk = async (dir, keyPrefix) => {
+        let entries;
+        try {
+          entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') return;
+          throw error;
+        }
+
+        for (const entry of entries) {
+          const key = keyPrefix + entry.name;
+          if (entry.isDirectory()) {
+            await walk(path.join(dir, entry.name), `${key}/`);
+          } else {
+            keys.push(key);
+          }
+        }
+      };
+
+      await walk(directory, '');
+      return keys.filter(key => key.startsWith(prefix)).sort();
+    },
+
+    describe() {
+      return { backend: 'filesystem', location: directory };
+    }
+  };
+}
+
+/**
+ * Create a SQLite backend (requires the optional better-sqlite3 package)
+ * @param {Object} options - Backend options
+ * @param {string} options.file - Database file path
+ * @returns {Object} Storage backend
+ */
+function createSqliteStorage({ file }) {
+  let db = null;
+
+  const database = () => {
+    if (!db) {
+      throw new Error('SQLite storage used before init()');
+    }
+    return db;
+  };
+
+  return {
+    name: 'sqlite',
+
+    async init() {
+      if (db) return;
+
+      let Database;
+      try {
+        Database = require('better-sqlite3');
+      } catch (error) {
+        throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+      }
+
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      db.exec(`CREATE TABLE IF NOT EXISTS documents (
+        key TEXT PRIMARY KEY,
+        content TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`);
+    },
+
+    async read(key) {
+      const row = database().prepare('SELECT content FROM documents WHERE key = ?').get(key);
+      return row ? row.content : null;
+    },
+
+    async write(key, content) {
+      database()
+        .prepare(`INSERT INTO documents (key, content, updated_at) VALUES (?, ?, ?)
+          ON CONFLICT(key) DO UPDATE SET content = excluded.content, updated_at = excluded.updated_at`)
+        .run(key, content, new Date().toISOString());
+    },
+
+    async remove(key) {
+      database().prepare('DELETE FROM documents WHERE key = ?').run(key);
+    },
+
+    async list(prefix = '') {
+      return database()
+        .prepare('SELECT key FROM documents WHERE substr(key, 1, ?) = ? ORDER BY key')
+        .all(prefix.length, prefix)
+        .map(row => row.key);
+    },
+
+    describe() {
+      return { backend: 'sqlite', location: file };
+    }
+  };
+}
+
+/**
+ * Create an in-memory backend. Nothing survives a restart.
+ * @returns {Object} Storage backend
+ */
+function createMemoryStorage() {
+  const documents = new Map();
+
+  return {
+    name: 'memory',
+
+    async init() {},
+
+    async read(key) {
+      return documents.has(key) ? documents.get(key) : null;
+    },
+
+    async write(key, content) {
+      documents.set(key, String(content));
+    },
+
+    async remove(key) {
+      documents.delete(key);
+    },
+
+    async list(prefix = '') {
+      return [...documents.keys()].filter(key => key.startsWith(prefix)).sort();
+    },
+
+    describe() {
+      return { backend: 'memory', location: null };
+    }
+  };
+}
+
+/**
+ * Create a storage backend by name
+ * @param {string} backend - 'filesystem', 'sqlite' or 'memory'
+ * @returns {Object} Storage backend
+ */
+function createStorage(backend = MEMORY_STORAGE_BACKEND) {
+  switch (backend) {
+    case 'filesystem':
+      return createFilesystemStorage({ directory: MEMORY_STORAGE_PATH });
+    case 'sqlite':
+      return createSqliteStorage({ file: MEMORY_SQLITE_PATH });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown memory storage backend: ${backend}`);
+  }
+}
+
+/**
+ * Create the configured backend, encrypted if a key is configured
+ * @returns {Object} Storage backend
+ */
+function createConfiguredStorage() {
+  const backend = createStorage();
+  const key = memoryCrypto.loadKey();
+  return key ? memoryCrypto.createEncryptedStorage(backend, key) : backend;
+}
+
+// The configured backend, shared by all memory modules. Built on first use so
+// a bad configuration is reported by the caller instead of failing on require.
+let storage = null;
+
+/**
+ * Get the active storage backend, creating the configured one on first use
+ * @returns {Object} Storage backend
+ * @throws {Error} If the configured backend or key cannot be loaded
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createConfiguredStorage();
+  }
+  return storage;
+}
+
+/**
+ * Replace the active storage backend (e.g. with an in-memory one in tests)
+ * @param {Object} backend - Storage backend
+ */
+function setStorage(backend) {
+  storage = backend;
+}
+
+module.exports = {
+  MEMORY_STORAGE_PATH,
+  createFilesystemStorage,
+  createSqliteStorage,
+  createMemoryStorage,
+  createStorage,
+  createConfiguredStorage,
+  getStorage,
+  setStorage
+};
@@ -4,10 +4,71 @@
  * 
  * This module manages all scheduled tasks and recurring operations
  * for the IMMORTAL-CORD system, acting as the heartbeat initiator.
+ *
+ * A task runs on one of these triggers:
+ * - recurring: a cron expression, optionally in an IANA timezone
+ * - interval:  a fixed duration such as 90m or 36h, measured from an anchor
+ *              time so runs stay on the same grid across restarts
+ * - once:      a single run at a time
+ * - manual:    only on demand (or as a step of a chain)
+ *
+ * Job definitions and last-run results are persisted in memory storage
+ * (scheduler-state.json). When a persisted job is scheduled again after a
+ * restart, runs it missed while the process was down are handled by its
+ * catch-up policy:
+ * - skip: ignore missed runs (default)
+ * - once: run once if any run was missed
+ * - all:  run once per missed run (at most SCHEDULER_MAX_CATCH_UP)
+ *
+ * Each job also has a concurrency policy for a run that starts while the
+ * previous one is still going (skip, queue or allow), an execution timeout
+ * after which the run is cancelled through its AbortSignal (it still counts
+ * as running until its task function returns), and a number of retries
+ * with exponential backoff and jitter. A run that still fails after
+ * its retries is recorded in the job state (lastStatus, lastError,
+ * consecutiveFailures).
+ *
+ * Every run is recorded in a bounded per-job history
+ * (scheduler-history.json, SCHEDULER_HISTORY_SIZE runs per job), from which
+ * success rates and duration percentiles are computed.
  */
 
 const cron = require('node-cron');
+const cronParser = require('cron-parser');
 const logger = require('./logger');
+const memoryStorage = require('./memory-storage');
+
+// Storage keys
+const STATE_KEY = 'scheduler-state.json';
+const HISTORY_KEY = 'scheduler-history.json';
+
+// Runs kept per job
+const HISTORY_SIZE = process.env.SCHEDULER_HISTORY_SIZE ? parseInt(process.env.SCHEDULER_HISTORY_SIZE) : 100;
+
+// Catch-up policies for missed runs
+const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+const MAX_CATCH_UP_RUNS = process.env.SCHEDULER_MAX_CATCH_UP ? parseInt(process.env.SCHEDULER_MAX_CATCH_UP) : 100;
+
+// Concurrency policies for overlapping runs
+const CONCURRENCY_POLICIES = ['skip', 'queue', 'allow'];
+const MAX_QUEUED_RUNS = process.env.SCHEDULER_MAX_QUEUED ? parseInt(process.env.SCHEDULER_MAX_QUEUED) : 10;
+
+// Execution defaults
+const DEFAULT_TIMEOUT_MS = process.env.SCHEDULER_TASK_TIMEOUT ? parseInt(process.env.SCHEDULER_TASK_TIMEOUT) : 1800000; // 30 minutes
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = process.env.SCHEDULER_MAX_RETRY_DELAY ? parseInt(process.env.SCHEDULER_MAX_RETRY_DELAY) : 300000; // 5 minutes
+const MAX_RETRIES = 10;
+
+// Longest delay setTimeout supports; one-off timers re-arm beyond it
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+// Longest chain
+const MAX_CHAIN_STEPS = 20;
+
+// Durations such as 90s, 15m, 36h, 2d, 1w or combinations like 1h30m
+const DURATION_PATTERN = /^(?:\d+(?:ms|s|m|h|d|w))+$/;
+const DURATION_PART_PATTERN = /(\d+)(ms|s|m|h|d|w)/g;
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
 
 // Store scheduled tasks
 const scheduledTasks = {};
@@ -15,20 +76,41 @@ const scheduledTasks = {};
 // Store next run times
 const nextRunTimes = {};
 
+// Store task details (cron expression, action, run state)
+const taskDetails = {};
+
+// Persisted jobs that have not been scheduled again since the last restart
+let persistedJobs = {};
+
+// Tail of the state write queue; state is saved one write at a time
+let stateQueue = Promise.resolve();
+
+// Recent runs of each job, oldest first
+let runHistory = {};
+let historyQueue = Promise.resolve();
+
+// Routine runs of quiet jobs are saved together, at most this often
+const DEFERRED_SAVE_MS = 10 * 60 * 1000;
+let deferredSave = null;
+
 /**
- * Initialize the scheduler
+ * Initialize the scheduler and load the persisted job state
  */
-function initScheduler() {
+async function initScheduler() {
   try {
     logger.info('Initializing scheduler...');
     
+    const content = await memoryStorage.getStorage().read(STATE_KEY);
+    persistedJobs = content ? JSON.parse(content).jobs : {};
+    logger.info(`Loaded ${Object.keys(persistedJobs).length} persisted jobs`);
+    
+    const history = await memoryStorage.getStorage().read(HISTORY_KEY);
+    runHistory = history ? JSON.parse(history) : {};
+    
     // Get scan interval from environment or use default (6 hours)
     const scanInterval = process.env.SCAN_INTERVAL ? parseInt(process.env.SCAN_INTERVAL) : 360;
     
-    // Convert minutes to cron format
-    const scanCronExpression = convertMinutesToCron(scanInterval);
-    
-    logger.info(`Scan interval set to ${scanInterval} minutes (${scanCronExpression})`);
+    logger.info(`Scan interval set to ${scanInterval} minutes`);
     
     // Schedule tasks will be set up by main.js
     logger.info('Scheduler initialized successfully');
@@ -41,43 +123,238 @@ function initScheduler() {
   }
 }
 
+/**
+ * Check whether a cron expression is valid
+ * @param {string} cronExpression - Cron expression
+ * @returns {boolean} Whether the expression is valid
+ */
+function isValidCron(cronExpression) {
+  return typeof cronExpression === 'string' && cron.validate(cronExpression);
+}
+
+/**
+ * Check whether a timezone is a valid IANA timezone name
+ * @param {string} timezone - Timezone such as Europe/Berlin
+ * @returns {boolean} Whether the timezone is valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return typeof timezone === 'string';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse a duration
+ * @param {string|number} value - Duration such as 90m, 36h or 1h30m, or a number of milliseconds
+ * @returns {number|null} Duration in milliseconds, or null if invalid
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value > 0 ? value : null;
+  }
+  
+  if (typeof value !== 'string' || !DURATION_PATTERN.test(value)) {
+    return null;
+  }
+  
+  let ms = 0;
+  for (const [, amount, unit] of value.matchAll(DURATION_PART_PATTERN)) {
+    ms += parseInt(amount) * DURATION_UNITS[unit];
+  }
+  
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * Validate task options
+ * @param {Object} options - Task options (see scheduleTask)
+ * @returns {string|null} Error message, or null if the options are valid
+ */
+function validateTaskOptions(options) {
+  const isCount = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+  
+  if (options.catchUp !== undefined && !CATCH_UP_POLICIES.includes(options.catchUp)) {
+    return `catchUp must be one of: ${CATCH_UP_POLICIES.join(', ')}`;
+  }
+  if (options.concurrency !== undefined && !CONCURRENCY_POLICIES.includes(options.concurrency)) {
+    return `concurrency must be one of: ${CONCURRENCY_POLICIES.join(', ')}`;
+  }
+  if (options.timeoutMs !== undefined && !isCount(options.timeoutMs, Number.MAX_SAFE_INTEGER)) {
+    return 'timeoutMs must be a non-negative integer (0 disables the timeout)';
+  }
+  if (options.retries !== undefined && !isCount(options.retries, MAX_RETRIES)) {
+    return `retries must be an integer from 0 to ${MAX_RETRIES}`;
+  }
+  if (options.retryDelayMs !== undefined && !isCount(options.retryDelayMs, MAX_RETRY_DELAY_MS)) {
+    return `retryDelayMs must be an integer from 0 to ${MAX_RETRY_DELAY_MS}`;
+  }
+  if (options.timezone !== undefined && !isValidTimezone(options.timezone)) {
+    return 'timezone must be an IANA timezone such as Europe/Berlin';
+  }
+  if (options.startAt !== undefined && isNaN(new Date(options.startAt).getTime())) {
+    return 'startAt must be an ISO date';
+  }
+  
+  return null;
+}
+
+/**
+ * Check whether a task is scheduled
+ * @param {string} taskName - Name of the task
+ * @returns {boolean} Whether the task exists
+ */
+function hasTask(taskName) {
+  return Boolean(scheduledTasks[taskName]);
+}
+
 /**
  * Schedule a task
  * @param {string} taskName - Name of the task
- * @param {string} cronExpression - Cron expression for scheduling
- * @param {Function} taskFunction - Function to execute
+ * @param {string|null} cronExpression - Cron expression for scheduling, or null for a task that only runs on demand
+ * @param {Function} taskFunction - Function to execute, called with (params, { signal })
+ * @param {Object} options - Task details shown in job listings (optional)
+ * @param {string} options.action - Name of the action the task runs
+ * @param {Object} options.params - Parameters passed to the action
+ * @param {string[]} options.steps - Names of the jobs the task runs, for chains (see createChain)
+ * @param {boolean} options.system - Whether the task is a built-in system job
+ * @param {string} options.catchUp - What to do with runs missed while the process was down: skip, once or all (default: skip)
+ * @param {string} options.concurrency - What to do when a run starts before the previous one finished: skip, queue or allow (default: skip)
+ * @param {number} options.timeoutMs - Cancel a run after this long, 0 for no timeout (default: SCHEDULER_TASK_TIMEOUT or 30 minutes)
+ * @param {number} options.retries - Times to retry a failed run (default: 0)
+ * @param {number} options.retryDelayMs - Delay before the first retry, doubled for each further retry (default: 1000)
+ * @param {string} options.timezone - IANA timezone the cron expression is evaluated in (default: the server's)
+ * @param {boolean} options.quiet - Log the start and success of each run at debug level and save successful runs in batches, for frequent jobs (default: false)
  */
-function scheduleTask(taskName, cronExpression, taskFunction) {
+function scheduleTask(taskName, cronExpression, taskFunction, options = {}) {
   try {
-    logger.info(`Scheduling task: ${taskName} with cron: ${cronExpression}`);
+    logger.info(`Scheduling task: ${taskName} ${cronExpression ? `with cron: ${cronExpression}` : 'to run on demand'}`);
     
     // Validate cron expression
-    if (!cron.validate(cronExpression)) {
+    if (cronExpression !== null && !cron.validate(cronExpression)) {
       throw new Error(`Invalid cron expression: ${cronExpression}`);
     }
     
+    const persisted = addTask(taskName, { type: cronExpression ? 'recurring' : 'manual', cronExpression }, taskFunction, options);
+    const details = taskDetails[taskName];
+    
     // Schedule the task
-    scheduledTasks[taskName] = cron.schedule(cronExpression, async () => {
-      try {
-        logger.info(`Executing scheduled task: ${taskName}`);
-        
-        // Update next run time before execution
-        updateNextRunTime(taskName, cronExpression);
-        
-        // Execute the task
-        await taskFunction();
-        
-        logger.info(`Task ${taskName} executed successfully`);
-      } catch (error) {
-        logger.error(`Error executing task ${taskName}: ${error.message}`);
-        logger.error(error.stack);
-      }
-    });
+    scheduledTasks[taskName] = cronExpression
+      ? cron.schedule(cronExpression, () => runTask(taskName, 'schedule'), {
+        scheduled: !details.paused,
+        ...(details.timezone ? { timezone: details.timezone } : {})
+      })
+      : { start() {}, stop() {} };
     
     // Calculate and store initial next run time
-    updateNextRunTime(taskName, cronExpression);
+    refreshNextRunTime(taskName);
+    
+    logger.info(`Task ${taskName} scheduled successfully${details.paused ? ' (paused)' : ''}`);
+    saveState();
+    
+    if (persisted && cronExpression && !details.paused) {
+      catchUpTask(taskName, persisted.lastRunAt || persisted.createdAt);
+    }
+    
+    return true;
+  } catch (error) {
+    logger.error(`Failed to schedule task ${taskName}: ${error.message}`);
+    logger.error(error.stack);
+    return false;
+  }
+}
+
+/**
+ * Schedule a task to run at a fixed interval. Runs fall on startAt plus
+ * whole intervals, so a restart does not shift them.
+ * @param {string} taskName - Name of the task
+ * @param {string|number} every - Interval such as 90m, 36h or 1h30m, or milliseconds
+ * @param {Function} taskFunction - Function to execute, called with (params, { signal })
+ * @param {Object} options - Task options, as for scheduleTask
+ * @param {string} options.startAt - ISO time of the first run (default: one interval after the task was first created)
+ */
+function scheduleEvery(taskName, every, taskFunction, options = {}) {
+  try {
+    const intervalMs = parseDuration(every);
+    if (intervalMs === null) {
+      throw new Error(`Invalid interval: ${every}`);
+    }
+    
+    logger.info(`Scheduling task: ${taskName} every ${every}`);
+    
+    const persisted = addTask(taskName, { type: 'interval', intervalMs }, taskFunction, options);
+    const details = taskDetails[taskName];
+    
+    // Keep the anchor of a persisted interval task unless a new one is given
+    details.startAt = options.startAt
+      ? new Date(options.startAt).toISOString()
+      : persisted && persisted.startAt
+        ? persisted.startAt
+        : new Date(new Date(details.createdAt).getTime() + intervalMs).toISOString();
+    
+    // Schedule the task
+    scheduledTasks[taskName] = createIntervalTimer(taskName, details);
+    if (!details.paused) {
+      scheduledTasks[taskName].start();
+    }
+    
+    refreshNextRunTime(taskName);
+    
+    logger.info(`Task ${taskName} scheduled successfully${details.paused ? ' (paused)' : ''}`);
+    saveState();
+    
+    if (persisted && !details.paused) {
+      catchUpTask(taskName, persisted.lastRunAt || persisted.createdAt);
+    }
+    
+    return true;
+  } catch (error) {
+    logger.error(`Failed to schedule task ${taskName}: ${error.message}`);
+    logger.error(error.stack);
+    return false;
+  }
+}
+
+/**
+ * Schedule a task to run once, at a time or after a delay. The task stays
+ * listed (as completed) after its run so its outcome can be inspected.
+ * A run missed while the process was down happens on the next start unless
+ * the task's catch-up policy is skip.
+ * @param {string} taskName - Name of the task
+ * @param {Date|string|number} runAt - When to run: a date, an ISO time, or a delay in milliseconds from now
+ * @param {Function} taskFunction - Function to execute, called with (params, { signal })
+ * @param {Object} options - Task options, as for scheduleTask (catchUp defaults to once)
+ */
+function scheduleOnce(taskName, runAt, taskFunction, options = {}) {
+  try {
+    const runDate = typeof runAt === 'number' ? new Date(Date.now() + runAt) : new Date(runAt);
+    if (isNaN(runDate.getTime())) {
+      throw new Error(`Invalid run time: ${runAt}`);
+    }
+    
+    logger.info(`Scheduling one-off task: ${taskName} at ${runDate.toISOString()}`);
+    
+    const persisted = addTask(taskName, { type: 'once', runAt: runDate.toISOString() }, taskFunction, { ...options, catchUp: options.catchUp || 'once' });
+    const details = taskDetails[taskName];
     
-    logger.info(`Task ${taskName} scheduled successfully`);
+    // A run that came due while the process was down
+    if (persisted && !details.completed && !details.paused && runDate.getTime() <= Date.now() && details.catchUp === 'skip') {
+      details.completed = true;
+      logger.warn(`One-off task ${taskName} was due at ${details.runAt} while the process was down, skipping it`);
+    }
+    
+    // Schedule the task
+    scheduledTasks[taskName] = createOneOffTimer(taskName, details);
+    if (!details.paused) {
+      scheduledTasks[taskName].start();
+    }
+    
+    refreshNextRunTime(taskName);
+    
+    logger.info(`Task ${taskName} scheduled successfully${details.paused ? ' (paused)' : ''}`);
+    saveState();
     return true;
   } catch (error) {
     logger.error(`Failed to schedule task ${taskName}: ${error.message}`);
@@ -87,15 +364,602 @@ function scheduleTask(taskName, cronExpression, taskFunction) {
 }
 
 /**
- * Stop a scheduled task
+ * Register a task's details, replacing any task with the same name
+ * @param {string} taskName - Name of the task
+ * @param {Object} schedule - When the task runs as { type, cronExpression, runAt }
+ * @param {Function} taskFunction - Function to execute
+ * @param {Object} options - Task options (see scheduleTask)
+ * @returns {Object|undefined} The task as the previous run left it, if it was persisted
+ */
+function addTask(taskName, schedule, taskFunction, options) {
+  const optionsError = validateTaskOptions(options);
+  if (optionsError) {
+    throw new Error(optionsError);
+  }
+  
+  // Replace any task already registered under this name (its history is kept)
+  if (scheduledTasks[taskName]) {
+    unscheduleTask(taskName);
+  }
+  
+  // Carry over the run state of the job as the previous run left it
+  const persisted = persistedJobs[taskName];
+  delete persistedJobs[taskName];
+  
+  taskDetails[taskName] = {
+    type: schedule.type,
+    cronExpression: schedule.cronExpression || null,
+    timezone: options.timezone || null,
+    intervalMs: schedule.intervalMs || null,
+    startAt: null,
+    runAt: schedule.runAt || null,
+    action: options.action || null,
+    params: options.params || {},
+    steps: options.steps || null,
+    system: Boolean(options.system),
+    catchUp: options.catchUp || 'skip',
+    concurrency: options.concurrency || 'skip',
+    timeoutMs: options.timeoutMs !== undefined ? options.timeoutMs : DEFAULT_TIMEOUT_MS,
+    retries: options.retries || 0,
+    retryDelayMs: options.retryDelayMs !== undefined ? options.retryDelayMs : DEFAULT_RETRY_DELAY_MS,
+    quiet: Boolean(options.quiet),
+    taskFunction,
+    paused: persisted ? persisted.paused : false,
+    completed: persisted && persisted.runAt === schedule.runAt ? Boolean(persisted.completed) : false,
+    createdAt: persisted ? persisted.createdAt : new Date().toISOString(),
+    lastRunAt: persisted ? persisted.lastRunAt : null,
+    lastStatus: persisted ? persisted.lastStatus : null,
+    lastError: persisted ? persisted.lastError : null,
+    lastFailureAt: persisted ? persisted.lastFailureAt || null : null,
+    consecutiveFailures: persisted ? persisted.consecutiveFailures || 0 : 0,
+    // Runtime state, not persisted
+    activeRuns: 0,
+    queuedRuns: 0,
+    queueTail: Promise.resolve(),
+    settling: null
+  };
+  
+  return persisted;
+}
+
+/**
+ * Create the timer of a one-off task, with the start/stop interface of a cron task
+ * @param {string} taskName - Name of the task
+ * @param {Object} details - The task's details
+ * @returns {Object} Timer with start() and stop()
+ */
+function createOneOffTimer(taskName, details) {
+  let timer = null;
+  
+  const arm = () => {
+    const delay = new Date(details.runAt).getTime() - Date.now();
+    
+    // setTimeout cannot wait longer than MAX_TIMER_DELAY_MS in one go
+    timer = setTimeout(() => {
+      timer = null;
+      if (delay > MAX_TIMER_DELAY_MS) {
+        arm();
+        return;
+      }
+      
+      details.completed = true;
+      runTask(taskName, 'schedule');
+    }, Math.max(0, Math.min(delay, MAX_TIMER_DELAY_MS)));
+  };
+  
+  return {
+    start() {
+      if (!timer && !details.completed) arm();
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+/**
+ * Find the next run of an interval task
+ * @param {Object} details - The task's details
+ * @param {number} after - Time in milliseconds; the run returned is at or after it
+ * @returns {number} Time of the next run in milliseconds
+ */
+function nextIntervalRun(details, after) {
+  const anchor = new Date(details.startAt).getTime();
+  if (after <= anchor) {
+    return anchor;
+  }
+  return anchor + Math.ceil((after - anchor) / details.intervalMs) * details.intervalMs;
+}
+
+/**
+ * Create the timer of an interval task, with the start/stop interface of a cron task
+ * @param {string} taskName - Name of the task
+ * @param {Object} details - The task's details
+ * @returns {Object} Timer with start() and stop()
+ */
+function createIntervalTimer(taskName, details) {
+  let timer = null;
+  let lastRun = 0;
+  
+  const arm = () => {
+    // Never the run that just fired, even if the timer fired a little early
+    const next = nextIntervalRun(details, Math.max(Date.now(), lastRun + 1));
+    const delay = next - Date.now();
+    
+    // setTimeout cannot wait longer than MAX_TIMER_DELAY_MS in one go
+    timer = setTimeout(() => {
+      timer = null;
+      if (delay > MAX_TIMER_DELAY_MS) {
+        arm();
+        return;
+      }
+      
+      lastRun = next;
+      arm();
+      runTask(taskName, 'schedule');
+    }, Math.max(0, Math.min(delay, MAX_TIMER_DELAY_MS)));
+  };
+  
+  return {
+    start() {
+      if (!timer) arm();
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+/**
+ * Create the task function of a chain: the named jobs run one after another,
+ * each only after the previous one succeeded. The chain stops at the first
+ * step that fails (or is skipped), and its run record lists every step.
+ * @param {string} chainName - Name of the chain task
+ * @param {string[]} steps - Names of the jobs to run, in order
+ * @returns {Function} Task function
+ */
+function createChain(chainName, steps) {
+  return async (params, { signal }) => {
+    const results = [];
+    let failure = null;
+    
+    for (const step of steps) {
+      if (failure || signal.aborted) {
+        results.push({ name: step, outcome: 'not-run' });
+        continue;
+      }
+      
+      if (!taskDetails[step]) {
+        failure = `step ${step} does not exist`;
+        results.push({ name: step, outcome: 'missing' });
+        continue;
+      }
+      
+      logger.info(`Chain ${chainName}: running step ${step}`);
+      // Cancelling the chain cancels the step it is on
+      const outcome = await runTask(step, `chain:${chainName}`, signal);
+      
+      results.push({
+        name: step,
+        outcome: outcome.success ? 'success' : outcome.skipped ? 'skipped' : 'failed',
+        attempts: outcome.attempts || 0,
+        error: outcome.error || null
+      });
+      
+      if (!outcome.success) {
+        failure = `step ${step} ${outcome.skipped ? 'was skipped' : 'failed'}: ${outcome.error}`;
+      }
+    }
+    
+    if (failure) {
+      const error = new Error(`Chain ${chainName} stopped: ${failure}`);
+      error.steps = results;
+      throw error;
+    }
+    
+    return { steps: results };
+  };
+}
+
+/**
+ * Validate the steps of a chain
+ * @param {string} chainName - Name of the chain task
+ * @param {string[]} steps - Names of the jobs to run, in order
+ * @returns {string|null} Error message, or null if the steps are valid
+ */
+function validateChain(chainName, steps) {
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_CHAIN_STEPS) {
+    return `steps must be a list of 1 to ${MAX_CHAIN_STEPS} job names`;
+  }
+  
+  const missing = steps.filter(step => typeof step !== 'string' || !taskDetails[step]);
+  if (missing.length > 0) {
+    return `Unknown jobs in steps: ${missing.join(', ')}`;
+  }
+  
+  // A chain must not end up running itself
+  const visit = (step, seen) => {
+    if (step === chainName) return true;
+    if (seen.has(step)) return false;
+    seen.add(step);
+    return (taskDetails[step] && taskDetails[step].steps || []).some(next => visit(next, seen));
+  };
+  
+  if (steps.some(step => visit(step, new Set()))) {
+    return `Chain ${chainName} would run itself`;
+  }
+  
+  return null;
+}
+
+/**
+ * Run a task, applying its concurrency policy
+ * @param {string} taskName - Name of the task
+ * @param {string} trigger - What started the run: schedule, manual or catch-up
+ * @param {AbortSignal} parentSignal - Cancels the run when aborted, as when a chain step's chain times out (optional)
+ * @returns {Promise<Object>} Outcome as { success, skipped, attempts, error }
+ */
+function runTask(taskName, trigger, parentSignal) {
+  const details = taskDetails[taskName];
+  
+  const skip = error => {
+    logger.warn(`Task ${taskName} run skipped: ${error}`);
+    recordRun(taskName, {
+      trigger,
+      startedAt: new Date().toISOString(),
+      durationMs: 0,
+      outcome: 'skipped',
+      error,
+      retries: 0
+    });
+    return Promise.resolve({ success: false, skipped: true, error });
+  };
+  
+  if (details.concurrency === 'queue') {
+    if (details.queuedRuns >= MAX_QUEUED_RUNS) {
+      return skip(`Run queue is full (${details.queuedRuns} runs queued)`);
+    }
+    
+    details.queuedRuns++;
+    const run = details.queueTail.then(() => {
+      details.queuedRuns--;
+      return executeTask(taskName, details, trigger, parentSignal);
+    });
+    // The next queued run also waits for a timed-out run to actually stop
+    details.queueTail = run.then(() => details.settling).catch(() => {});
+    return run;
+  }
+  
+  if (details.concurrency === 'skip' && details.activeRuns > 0) {
+    return skip('Task is already running');
+  }
+  
+  return executeTask(taskName, details, trigger, parentSignal);
+}
+
+/**
+ * Call a task function, cancelling it after a timeout or when a parent
+ * signal aborts. Cancelling aborts the signal the function was given and
+ * gives up waiting for it; the function itself stops only once it notices.
+ * @param {Function} taskFunction - Function to call with an AbortSignal
+ * @param {number} timeoutMs - Timeout, 0 for none
+ * @param {AbortSignal} parentSignal - Signal that also cancels the call (optional)
+ * @returns {Object} Call as { result, settled }: result settles with the function's outcome or the
+ *   cancellation, settled resolves once the function itself has finished
+ */
+function callWithTimeout(taskFunction, timeoutMs, parentSignal) {
+  const controller = new AbortController();
+  const call = Promise.resolve().then(() => taskFunction(controller.signal));
+  const settled = call.then(() => {}, () => {});
+  
+  let timer = null;
+  let onAbort = null;
+  const cancelled = new Promise((resolve, reject) => {
+    const cancel = error => {
+      controller.abort(error);
+      reject(error);
+    };
+    
+    if (timeoutMs) {
+      timer = setTimeout(() => {
+        const error = new Error(`Timed out after ${timeoutMs}ms`);
+        error.code = 'ETIMEDOUT';
+        cancel(error);
+      }, timeoutMs);
+    }
+    
+    if (parentSignal) {
+      onAbort = () => {
+        const reason = parentSignal.reason;
+        const error = new Error(`Cancelled${reason && reason.message ? `: ${reason.message}` : ''}`);
+        error.code = 'ECANCELED';
+        cancel(error);
+      };
+      
+      if (parentSignal.aborted) {
+        onAbort();
+      } else {
+        parentSignal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+  });
+  
+  const result = Promise.race([call, cancelled]).finally(() => {
+    clearTimeout(timer);
+    if (onAbort) {
+      parentSignal.removeEventListener('abort', onAbort);
+    }
+  });
+  
+  return { result, settled };
+}
+
+/**
+ * Delay before a retry: exponential backoff with jitter
+ * @param {number} baseDelayMs - Delay before the first retry
+ * @param {number} attempt - Number of the attempt that just failed, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(baseDelayMs, attempt) {
+  const delay = Math.min(MAX_RETRY_DELAY_MS, baseDelayMs * Math.pow(2, attempt - 1));
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Execute a task with its timeout and retries, and record the outcome.
+ * A cancelled attempt counts as running until its function has finished,
+ * so no retry or new run starts on top of it.
+ * @param {string} taskName - Name of the task
+ * @param {Object} details - The task's details
+ * @param {string} trigger - What started the run
+ * @param {AbortSignal} parentSignal - Signal that cancels the run (optional)
+ * @returns {Promise<Object>} Outcome as { success, attempts, error }
+ */
+async function executeTask(taskName, details, trigger, parentSignal) {
+  // The task may have been removed while this run was queued
+  if (taskDetails[taskName] !== details) {
+    return { success: false, skipped: true, error: 'Task was removed' };
+  }
+  
+  // Failures are always logged; a quiet task's routine runs only at debug level
+  const logRun = details.quiet ? logger.debug : logger.info;
+  logRun(`Executing scheduled task: ${taskName}`);
+  
+  // Update next run time before execution
+  refreshNextRunTime(taskName);
+  
+  details.activeRuns++;
+  details.lastRunAt = new Date().toISOString();
+  
+  const startedAt = Date.now();
+  // A quiet task's successful runs are saved later, with whatever else changed by then
+  const routine = () => details.quiet && details.lastStatus === 'success';
+  const record = (outcome, steps) => recordRun(taskName, {
+    trigger,
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    outcome,
+    error: outcome === 'success' ? null : lastError.message,
+    retries: attempt - 1,
+    ...(steps ? { steps } : {})
+  }, routine());
+  
+  const maxAttempts = details.retries + 1;
+  let lastError = null;
+  let attempt = 0;
+  
+  // A cancelled attempt that is still winding down
+  let stopping = null;
+  
+  try {
+    while (attempt < maxAttempts) {
+      attempt++;
+      
+      // Execute the task
+      const call = callWithTimeout(signal => details.taskFunction(details.params, { signal }), details.timeoutMs, parentSignal);
+      
+      try {
+        const result = await call.result;
+        
+        details.lastStatus = 'success';
+        details.lastError = null;
+        details.consecutiveFailures = 0;
+        record('success', result && result.steps);
+        logRun(`Task ${taskName} executed successfully${attempt > 1 ? ` on attempt ${attempt}` : ''}`);
+        return { success: true, attempts: attempt };
+      } catch (error) {
+        lastError = error;
+        if (error.code === 'ETIMEDOUT' || error.code === 'ECANCELED') {
+          stopping = call.settled;
+        }
+        
+        // Stop retrying once the task is removed or the run is cancelled
+        if (attempt < maxAttempts && taskDetails[taskName] === details && !(parentSignal && parentSignal.aborted)) {
+          const delay = retryDelay(details.retryDelayMs, attempt);
+          logger.warn(`Task ${taskName} attempt ${attempt}/${maxAttempts} failed: ${error.message}, retrying in ${Math.round(delay)}ms`);
+          await Promise.all([stopping, new Promise(resolve => setTimeout(resolve, delay))]);
+          stopping = null;
+        } else {
+          break;
+        }
+      }
+    }
+    
+    details.lastStatus = lastError.code === 'ETIMEDOUT' ? 'timeout' : lastError.code === 'ECANCELED' ? 'cancelled' : 'failed';
+    details.lastError = lastError.message;
+    details.lastFailureAt = new Date().toISOString();
+    details.consecutiveFailures++;
+    record(details.lastStatus, lastError.steps);
+    logger.error(`Error executing task ${taskName} after ${attempt} attempt(s): ${lastError.message}`);
+    logger.error(lastError.stack);
+    return { success: false, attempts: attempt, error: lastError.message };
+  } finally {
+    const release = () => {
+      details.activeRuns--;
+      if (taskDetails[taskName] !== details) return;
+      if (routine()) {
+        deferSave();
+      } else {
+        saveState();
+      }
+    };
+    
+    if (stopping) {
+      logger.warn(`Task ${taskName} was cancelled but is still finishing; it counts as running until it stops`);
+      details.settling = stopping.then(() => {
+        details.settling = null;
+        release();
+      });
+    } else {
+      release();
+    }
+  }
+}
+
+/**
+ * Count the runs of a task after a time, up to now
+ * @param {Object} details - The task's details (a recurring or interval task)
+ * @param {string} since - ISO time to count from
+ * @param {number} limit - Stop counting at this many runs
+ * @returns {number} Number of runs
+ */
+function countMissedRuns(details, since, limit) {
+  const now = new Date();
+  if (!since || new Date(since) >= now) {
+    return 0;
+  }
+  
+  if (details.type === 'interval') {
+    // Runs at or before a time: startAt, startAt + interval, ...
+    const runsUntil = time => {
+      const anchor = new Date(details.startAt).getTime();
+      return time < anchor ? 0 : Math.floor((time - anchor) / details.intervalMs) + 1;
+    };
+    return Math.min(limit, runsUntil(now.getTime()) - runsUntil(new Date(since).getTime()));
+  }
+  
+  const interval = cronParser.parseExpression(details.cronExpression, {
+    currentDate: new Date(since),
+    endDate: now,
+    ...(details.timezone ? { tz: details.timezone } : {})
+  });
+  let count = 0;
+  
+  while (count < limit && interval.hasNext()) {
+    interval.next();
+    count++;
+  }
+  
+  return count;
+}
+
+/**
+ * Apply a task's catch-up policy to the runs it missed since a time
+ * @param {string} taskName - Name of the task
+ * @param {string} since - ISO time of the task's last run (or creation)
+ */
+async function catchUpTask(taskName, since) {
+  const details = taskDetails[taskName];
+  if (details.catchUp === 'skip') {
+    return;
+  }
+  
+  try {
+    const limit = details.catchUp === 'all' ? MAX_CATCH_UP_RUNS : 1;
+    const missed = countMissedRuns(details, since, limit);
+    if (missed === 0) {
+      return;
+    }
+    
+    logger.info(`Task ${taskName} missed runs since ${since}, catching up with ${missed} run(s)`);
+    
+    for (let run = 0; run < missed; run++) {
+      // Stop catching up if the task was paused or removed meanwhile
+      if (taskDetails[taskName] !== details || details.paused) {
+        return;
+      }
+      await runTask(taskName, 'catch-up');
+    }
+  } catch (error) {
+    logger.error(`Failed to catch up task ${taskName}: ${error.message}`);
+  }
+}
+
+/**
+ * Run a scheduled task immediately, outside its schedule
+ * @param {string} taskName - Name of the task
+ * @returns {Promise<Object|null>} Outcome as { success, error }, or null if the task does not exist
+ */
+async function runTaskNow(taskName) {
+  if (!scheduledTasks[taskName]) {
+    logger.warn(`Task ${taskName} not found`);
+    return null;
+  }
+  
+  logger.info(`Task ${taskName} triggered manually`);
+  return runTask(taskName, 'manual');
+}
+
+/**
+ * Pause a scheduled task
+ * @param {string} taskName - Name of the task to pause
+ */
+function pauseTask(taskName) {
+  if (!scheduledTasks[taskName]) {
+    logger.warn(`Task ${taskName} not found`);
+    return false;
+  }
+  
+  scheduledTasks[taskName].stop();
+  taskDetails[taskName].paused = true;
+  delete nextRunTimes[taskName];
+  saveState();
+  logger.info(`Task ${taskName} paused`);
+  return true;
+}
+
+/**
+ * Resume a paused task
+ * @param {string} taskName - Name of the task to resume
+ */
+function resumeTask(taskName) {
+  if (!scheduledTasks[taskName]) {
+    logger.warn(`Task ${taskName} not found`);
+    return false;
+  }
+  
+  scheduledTasks[taskName].start();
+  taskDetails[taskName].paused = false;
+  refreshNextRunTime(taskName);
+  saveState();
+  logger.info(`Task ${taskName} resumed`);
+  return true;
+}
+
+/**
+ * Stop a task's schedule and forget it, keeping its run history
+ * @param {string} taskName - Name of the task
+ */
+function unscheduleTask(taskName) {
+  scheduledTasks[taskName].stop();
+  delete scheduledTasks[taskName];
+  delete nextRunTimes[taskName];
+  delete taskDetails[taskName];
+}
+
+/**
+ * Stop a scheduled task and drop its run history
  * @param {string} taskName - Name of the task to stop
  */
 function stopTask(taskName) {
   try {
     if (scheduledTasks[taskName]) {
-      scheduledTasks[taskName].stop();
-      delete scheduledTasks[taskName];
-      delete nextRunTimes[taskName];
+      unscheduleTask(taskName);
+      delete runHistory[taskName];
+      saveState();
+      saveHistory();
       logger.info(`Task ${taskName} stopped successfully`);
       return true;
     } else {
@@ -152,65 +1016,265 @@ function listScheduledTasks() {
 }
 
 /**
- * Update the next run time for a task
- * @param {string} taskName - Name of the task
- * @param {string} cronExpression - Cron expression for the task
+ * List all scheduled tasks with their details
+ * @returns {Object[]} Task details, including next run time and last outcome
  */
-function updateNextRunTime(taskName, cronExpression) {
-  try {
-    // Calculate next run time
-    const interval = cron.schedule(cronExpression, () => {});
-    const nextDate = interval.nextDate();
-    interval.stop();
+function listJobs() {
+  return Object.keys(scheduledTasks).map(taskName => {
+    const { taskFunction, activeRuns, queuedRuns, queueTail, settling, ...details } = taskDetails[taskName];
+    return {
+      name: taskName,
+      ...details,
+      running: activeRuns > 0,
+      queuedRuns,
+      nextRun: getNextRunTime(taskName)
+    };
+  });
+}
+
+/**
+ * Restore persisted jobs that were not scheduled again after a restart.
+ * System jobs are left to whoever registers them; persisted system jobs
+ * that were not registered again are dropped.
+ * @param {Object} actions - Task functions keyed by action name
+ * @returns {string[]} Names of the restored jobs
+ */
+function restoreJobs(actions) {
+  const restored = [];
+  
+  for (const [taskName, job] of Object.entries(persistedJobs)) {
+    if (job.system) {
+      delete persistedJobs[taskName];
+      continue;
+    }
     
-    nextRunTimes[taskName] = nextDate.toDate();
-  } catch (error) {
-    logger.error(`Failed to update next run time for ${taskName}: ${error.message}`);
+    if (!job.steps && !actions[job.action]) {
+      logger.warn(`Cannot restore task ${taskName}: unknown action ${job.action}`);
+      continue;
+    }
+    
+    const taskFunction = job.steps ? createChain(taskName, job.steps) : actions[job.action];
+    const options = {
+      action: job.action,
+      params: job.params,
+      steps: job.steps,
+      catchUp: job.catchUp,
+      concurrency: job.concurrency,
+      timeoutMs: job.timeoutMs,
+      retries: job.retries,
+      retryDelayMs: job.retryDelayMs,
+      timezone: job.timezone || undefined,
+      quiet: job.quiet
+    };
+    let scheduled;
+    if (job.type === 'once') {
+      scheduled = scheduleOnce(taskName, job.runAt, taskFunction, options);
+    } else if (job.type === 'interval') {
+      scheduled = scheduleEvery(taskName, job.intervalMs, taskFunction, { ...options, startAt: job.startAt });
+    } else {
+      scheduled = scheduleTask(taskName, job.cronExpression, taskFunction, options);
+    }
+    
+    if (scheduled) {
+      restored.push(taskName);
+    }
+  }
+  
+  // Drop the history of jobs that no longer exist
+  for (const taskName of Object.keys(runHistory)) {
+    if (!taskDetails[taskName] && !persistedJobs[taskName]) {
+      delete runHistory[taskName];
+    }
   }
+  
+  saveState();
+  saveHistory();
+  return restored;
 }
 
 /**
- * Convert minutes to cron expression
- * @param {number} minutes - Minutes between executions
- * @returns {string} Cron expression
+ * Persist job definitions and last-run results
+ * @returns {Promise<void>}
  */
-function convertMinutesToCron(minutes) {
-  if (minutes < 1) {
-    throw new Error('Minutes must be at least 1');
+function saveState() {
+  const jobs = { ...persistedJobs };
+  
+  for (const [taskName, details] of Object.entries(taskDetails)) {
+    const { taskFunction, activeRuns, queuedRuns, queueTail, settling, ...definition } = details;
+    jobs[taskName] = definition;
   }
   
-  if (minutes < 60) {
-    // Every X minutes
-    return `*/${minutes} * * * *`;
+  const content = JSON.stringify({ savedAt: new Date().toISOString(), jobs }, null, 2);
+  stateQueue = stateQueue
+    .then(() => memoryStorage.getStorage().write(STATE_KEY, content))
+    .catch(error => logger.error(`Failed to save scheduler state: ${error.message}`));
+  
+  return stateQueue;
+}
+
+/**
+ * Save the state and history once DEFERRED_SAVE_MS has passed, unless a
+ * deferred save is already pending
+ */
+function deferSave() {
+  if (deferredSave) return;
+  
+  deferredSave = setTimeout(() => {
+    deferredSave = null;
+    saveState();
+    saveHistory();
+  }, DEFERRED_SAVE_MS);
+  deferredSave.unref();
+}
+
+/**
+ * Save a pending deferred save now, as on shutdown
+ * @returns {Promise<void>}
+ */
+async function flushState() {
+  if (!deferredSave) return;
+  
+  clearTimeout(deferredSave);
+  deferredSave = null;
+  await Promise.all([saveState(), saveHistory()]);
+}
+
+/**
+ * Record a run in a job's history
+ * @param {string} taskName - Name of the task
+ * @param {Object} run - Run as { trigger, startedAt, durationMs, outcome, error, retries }
+ * @param {boolean} deferred - Save the history with the next deferred save instead of now
+ */
+function recordRun(taskName, run, deferred = false) {
+  runHistory[taskName] = [...(runHistory[taskName] || []), run].slice(-HISTORY_SIZE);
+  if (deferred) {
+    deferSave();
   } else {
-    // Every X hours
-    const hours = Math.floor(minutes / 60);
-    const remainingMinutes = minutes % 60;
-    
-    if (hours < 24) {
-      // Every X hours at specific minute
-      return `${remainingMinutes} */${hours} * * *`;
-    } else {
-      // Every X days at specific hour and minute
-      const days = Math.floor(hours / 24);
-      const remainingHours = hours % 24;
-      
-      if (days === 1) {
-        // Daily at specific hour and minute
-        return `${remainingMinutes} ${remainingHours} * * *`;
-      } else {
-        // Every X days at specific hour and minute
-        return `${remainingMinutes} ${remainingHours} */${days} * *`;
-      }
-    }
+    saveHistory();
+  }
+}
+
+/**
+ * Persist the run history
+ * @returns {Promise<void>}
+ */
+function saveHistory() {
+  const content = JSON.stringify(runHistory);
+  historyQueue = historyQueue
+    .then(() => memoryStorage.getStorage().write(HISTORY_KEY, content))
+    .catch(error => logger.error(`Failed to save scheduler history: ${error.message}`));
+  
+  return historyQueue;
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {number|null} The percentile, or null without values
+ */
+function percentileOf(sorted, percentile) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(0, Math.ceil(percentile / 100 * sorted.length) - 1)];
+}
+
+/**
+ * Summarize a job's run history
+ * @param {string} taskName - Name of the task
+ * @returns {Object} Run counts, success rate and p50/p95 duration of runs that executed
+ */
+function getTaskStats(taskName) {
+  const runs = runHistory[taskName] || [];
+  const executed = runs.filter(run => run.outcome !== 'skipped');
+  const successes = executed.filter(run => run.outcome === 'success').length;
+  const durations = executed.map(run => run.durationMs).sort((a, b) => a - b);
+  const lastSuccess = [...executed].reverse().find(run => run.outcome === 'success');
+  
+  return {
+    runs: runs.length,
+    successes,
+    failures: executed.filter(run => run.outcome === 'failed').length,
+    timeouts: executed.filter(run => run.outcome === 'timeout').length,
+    cancelled: executed.filter(run => run.outcome === 'cancelled').length,
+    skipped: runs.length - executed.length,
+    successRate: executed.length > 0 ? Number((successes / executed.length).toFixed(4)) : null,
+    p50DurationMs: percentileOf(durations, 50),
+    p95DurationMs: percentileOf(durations, 95),
+    lastRun: runs[runs.length - 1] || null,
+    lastSuccessAt: lastSuccess ? lastSuccess.startedAt : null
+  };
+}
+
+/**
+ * Get a job's most recent runs
+ * @param {string} taskName - Name of the task
+ * @param {number} limit - Maximum runs to return, newest first (default: 20)
+ * @returns {Object[]|null} Runs, or null if the task does not exist
+ */
+function getTaskRuns(taskName, limit = 20) {
+  if (!taskDetails[taskName]) {
+    return null;
+  }
+  
+  return (runHistory[taskName] || []).slice(-limit).reverse();
+}
+
+/**
+ * Update the next run time for a task from its details
+ * @param {string} taskName - Name of the task
+ */
+function refreshNextRunTime(taskName) {
+  const details = taskDetails[taskName];
+  
+  if (details.paused || details.completed || details.type === 'manual') {
+    delete nextRunTimes[taskName];
+  } else if (details.type === 'once') {
+    nextRunTimes[taskName] = new Date(details.runAt);
+  } else if (details.type === 'interval') {
+    nextRunTimes[taskName] = new Date(nextIntervalRun(details, Date.now() + 1));
+  } else {
+    updateNextRunTime(taskName, details.cronExpression, details.timezone);
+  }
+}
+
+/**
+ * Update the next run time for a task
+ * @param {string} taskName - Name of the task
+ * @param {string} cronExpression - Cron expression for the task
+ * @param {string} timezone - IANA timezone the expression is evaluated in (optional)
+ */
+function updateNextRunTime(taskName, cronExpression, timezone = null) {
+  try {
+    // Calculate next run time
+    const interval = cronParser.parseExpression(cronExpression, timezone ? { tz: timezone } : {});
+    nextRunTimes[taskName] = interval.next().toDate();
+  } catch (error) {
+    logger.error(`Failed to update next run time for ${taskName}: ${error.message}`);
   }
 }
 
 module.exports = {
   initScheduler,
+  isValidCron,
+  validateTaskOptions,
+  hasTask,
   scheduleTask,
+  scheduleEvery,
+  scheduleOnce,
+  parseDuration,
+  isValidTimezone,
+  createChain,
+  validateChain,
   stopTask,
+  pauseTask,
+  resumeTask,
+  runTaskNow,
   getNextRunTime,
   getNextScheduledRun,
-  listScheduledTasks
+  listScheduledTasks,
+  listJobs,
+  restoreJobs,
+  getTaskStats,
+  getTaskRuns,
+  flushState
 };
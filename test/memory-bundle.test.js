@@ -0,0 +1,85 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * memory-bundle.test.js - Bundle verification
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const memoryStorage = require('../memory-storage');
+const memoryCore = require('../memory-core');
+const memoryBundle = require('../memory-bundle');
+
+let bundle;
+
+beforeEach(async () => {
+  memoryStorage.setStorage(memoryStorage.createMemoryStorage());
+  await memoryCore.writeCore({
+    systemId: 'bundle-test',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    awakeningCount: 3,
+    memoryFragments: [{ id: 'f1', content: 'first' }, { id: 'f2', content: 'second' }]
+  });
+
+  bundle = await memoryBundle.exportBundle();
+});
+
+test('an exported bundle verifies', () => {
+  assert.deepStrictEqual(memoryBundle.verifyBundle(bundle), []);
+});
+
+test('verifyBundle rejects a tampered section', () => {
+  bundle.data.fragments[0].content = 'changed';
+
+  assert.deepStrictEqual(memoryBundle.verifyBundle(bundle), ['Checksum mismatch in section: fragments']);
+});
+
+test('verifyBundle rejects a missing section', () => {
+  delete bundle.data.awakenings;
+
+  assert.deepStrictEqual(memoryBundle.verifyBundle(bundle), ['Bundle section missing: awakenings']);
+});
+
+test('verifyBundle rejects a bad checksum in the manifest', () => {
+  bundle.manifest.sections.core.sha256 = '0'.repeat(64);
+
+  assert.deepStrictEqual(memoryBundle.verifyBundle(bundle), ['Checksum mismatch in section: core']);
+});
+
+test('verifyBundle rejects a section the manifest has no checksum for', () => {
+  delete bundle.manifest.sections.archive;
+
+  assert.deepStrictEqual(memoryBundle.verifyBundle(bundle), ['Bundle manifest has no checksum for section: archive']);
+});
+
+test('verifyBundle rejects an unknown section', () => {
+  bundle.data.extra = {};
+
+  assert.deepStrictEqual(memoryBundle.verifyBundle(bundle), ['Unknown bundle section: extra']);
+});
+
+test('verifyBundle accepts a bundle without the optional sections', () => {
+  for (const name of ['archive', 'awakeningJournal']) {
+    delete bundle.data[name];
+    delete bundle.manifest.sections[name];
+  }
+
+  assert.deepStrictEqual(memoryBundle.verifyBundle(bundle), []);
+});
+
+test('verifyBundle rejects a bundle from another format or version', () => {
+  bundle.manifest.format = 'something-else';
+  bundle.manifest.version = memoryBundle.BUNDLE_VERSION + 1;
+
+  assert.deepStrictEqual(memoryBundle.verifyBundle(bundle), [
+    'Unknown bundle format: something-else',
+    `Unsupported bundle version: ${memoryBundle.BUNDLE_VERSION + 1}`
+  ]);
+});
+
+test('importBundle refuses a tampered bundle and leaves the core as it was', async () => {
+  bundle.data.core.systemId = 'intruder';
+  bundle.manifest.systemId = 'intruder';
+
+  await assert.rejects(memoryBundle.importBundle(bundle), /Checksum mismatch in section: core/);
+  assert.strictEqual((await memoryCore.readCore()).systemId, 'bundle-test');
+});
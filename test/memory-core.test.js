@@ -0,0 +1,106 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * memory-core.test.js - Journal replay and corrupt-core recovery
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const memoryStorage = require('../memory-storage');
+const memoryCore = require('../memory-core');
+
+const CORE_KEY = 'memory-core.json';
+const BACKUP_KEY = 'memory-core.json.bak';
+const JOURNAL_KEY = 'memory-core.journal';
+
+const core = (systemId, fragments = []) => ({ systemId, memoryFragments: fragments });
+
+let storage;
+
+beforeEach(() => {
+  storage = memoryStorage.createMemoryStorage();
+  memoryStorage.setStorage(storage);
+});
+
+test('recoverCore returns the stored core untouched when it is intact', async () => {
+  await storage.write(CORE_KEY, JSON.stringify(core('intact')));
+
+  const recovered = await memoryCore.recoverCore();
+
+  assert.strictEqual(recovered.systemId, 'intact');
+  assert.deepStrictEqual(await storage.list('memory-core.corrupt-'), []);
+});
+
+test('recoverCore replays a pending journal entry and clears the journal', async () => {
+  await storage.write(CORE_KEY, JSON.stringify(core('before')));
+  await storage.write(JOURNAL_KEY, JSON.stringify({
+    at: new Date().toISOString(),
+    description: 'interrupted',
+    core: core('after', [{ id: 'f1' }])
+  }));
+
+  const recovered = await memoryCore.recoverCore();
+
+  assert.strictEqual(recovered.systemId, 'after');
+  assert.deepStrictEqual(recovered.memoryFragments, [{ id: 'f1' }]);
+  assert.strictEqual(await storage.read(JOURNAL_KEY), null);
+});
+
+test('recoverCore discards a journal that was cut off while being written', async () => {
+  await storage.write(CORE_KEY, JSON.stringify(core('kept')));
+  await storage.write(JOURNAL_KEY, '{"at": "2024-01-01T00:00:00.000Z", "core": {"syst');
+
+  const recovered = await memoryCore.recoverCore();
+
+  assert.strictEqual(recovered.systemId, 'kept');
+  assert.strictEqual(await storage.read(JOURNAL_KEY), null);
+});
+
+test('recoverCore moves a corrupt core aside and restores the backup', async () => {
+  await storage.write(CORE_KEY, '{"systemId": "torn');
+  await storage.write(BACKUP_KEY, JSON.stringify(core('backup')));
+
+  const recovered = await memoryCore.recoverCore();
+
+  assert.strictEqual(recovered.systemId, 'backup');
+  assert.strictEqual(JSON.parse(await storage.read(CORE_KEY)).systemId, 'backup');
+
+  const corrupt = await storage.list('memory-core.corrupt-');
+  assert.strictEqual(corrupt.length, 1);
+  assert.strictEqual(await storage.read(corrupt[0]), '{"systemId": "torn');
+});
+
+test('recoverCore treats a core without a systemId as corrupt', async () => {
+  await storage.write(CORE_KEY, JSON.stringify({ memoryFragments: [] }));
+  await storage.write(BACKUP_KEY, JSON.stringify(core('backup')));
+
+  const recovered = await memoryCore.recoverCore();
+
+  assert.strictEqual(recovered.systemId, 'backup');
+  assert.strictEqual((await storage.list('memory-core.corrupt-')).length, 1);
+});
+
+test('recoverCore restores the backup when only the core was lost', async () => {
+  await storage.write(BACKUP_KEY, JSON.stringify(core('backup')));
+
+  const recovered = await memoryCore.recoverCore();
+
+  assert.strictEqual(recovered.systemId, 'backup');
+});
+
+test('recoverCore returns null when neither the core nor a usable backup exists', async () => {
+  assert.strictEqual(await memoryCore.recoverCore(), null);
+
+  await storage.write(CORE_KEY, 'not json');
+  await storage.write(BACKUP_KEY, 'not json either');
+  assert.strictEqual(await memoryCore.recoverCore(), null);
+});
+
+test('a write keeps the previous core as the backup recovery falls back to', async () => {
+  await memoryCore.writeCore(core('first'));
+  await memoryCore.writeCore(core('second'));
+  await storage.write(CORE_KEY, '{');
+
+  const recovered = await memoryCore.recoverCore();
+
+  assert.strictEqual(recovered.systemId, 'first');
+});
@@ -0,0 +1,232 @@
+/**
+ * IMMORTAL-CORD: Central Execution Engine
+ * scheduler.test.js - Retries, timeouts, concurrency policies, durations and next-run times
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const memoryStorage = require('../memory-storage');
+const scheduler = require('../scheduler');
+
+// Never due during a test; runs are started with runTaskNow
+const NEVER = '0 0 1 1 *';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A promise with its resolve function, to hold a task run until released
+ */
+function gate() {
+  let release;
+  const promise = new Promise(resolve => { release = resolve; });
+  return { promise, release };
+}
+
+let tasks;
+
+/**
+ * Schedule a task that only runs when started by the test
+ */
+function schedule(taskName, taskFunction, options = {}) {
+  tasks.push(taskName);
+  assert.strictEqual(scheduler.scheduleTask(taskName, NEVER, taskFunction, options), true);
+}
+
+beforeEach(() => {
+  memoryStorage.setStorage(memoryStorage.createMemoryStorage());
+  tasks = [];
+});
+
+afterEach(() => {
+  for (const taskName of tasks) {
+    scheduler.stopTask(taskName);
+  }
+});
+
+test('a failing run is retried until it succeeds', async () => {
+  let calls = 0;
+  schedule('retry-then-succeed', async () => {
+    calls++;
+    if (calls < 3) throw new Error(`failure ${calls}`);
+  }, { retries: 3, retryDelayMs: 10 });
+
+  const outcome = await scheduler.runTaskNow('retry-then-succeed');
+
+  assert.deepStrictEqual(outcome, { success: true, attempts: 3 });
+  assert.strictEqual(scheduler.getTaskRuns('retry-then-succeed')[0].retries, 2);
+});
+
+test('a run that keeps failing stops after its retries', async () => {
+  let calls = 0;
+  schedule('retry-exhausted', async () => {
+    calls++;
+    throw new Error('always fails');
+  }, { retries: 2, retryDelayMs: 10 });
+
+  const outcome = await scheduler.runTaskNow('retry-exhausted');
+
+  assert.deepStrictEqual(outcome, { success: false, attempts: 3, error: 'always fails' });
+  assert.strictEqual(calls, 3);
+  assert.strictEqual(scheduler.getTaskStats('retry-exhausted').failures, 1);
+});
+
+test('retries back off exponentially', async () => {
+  const startedAt = [];
+  schedule('backoff', async () => {
+    startedAt.push(Date.now());
+    throw new Error('fails');
+  }, { retries: 2, retryDelayMs: 40 });
+
+  await scheduler.runTaskNow('backoff');
+
+  // Each delay is between half and all of 40ms, then 80ms
+  const delays = [startedAt[1] - startedAt[0], startedAt[2] - startedAt[1]];
+  assert.ok(delays[0] >= 20 - 5, `first delay ${delays[0]}ms`);
+  assert.ok(delays[1] >= 40 - 5, `second delay ${delays[1]}ms`);
+});
+
+test('a run that times out is aborted through its signal', async () => {
+  let signal;
+  schedule('times-out', (params, options) => {
+    signal = options.signal;
+    return new Promise(resolve => signal.addEventListener('abort', resolve));
+  }, { timeoutMs: 30 });
+
+  const outcome = await scheduler.runTaskNow('times-out');
+
+  assert.strictEqual(outcome.success, false);
+  assert.strictEqual(outcome.error, 'Timed out after 30ms');
+  assert.strictEqual(signal.aborted, true);
+  assert.strictEqual(signal.reason.code, 'ETIMEDOUT');
+  assert.strictEqual(scheduler.getTaskStats('times-out').timeouts, 1);
+});
+
+test('a retry waits for a timed-out attempt to finish', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  schedule('slow-to-stop', async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    // Ignores the signal and finishes well after the timeout
+    await sleep(80);
+    running--;
+    throw new Error('finished late');
+  }, { timeoutMs: 20, retries: 1, retryDelayMs: 1 });
+
+  const outcome = await scheduler.runTaskNow('slow-to-stop');
+
+  assert.strictEqual(outcome.attempts, 2);
+  assert.strictEqual(maxRunning, 1);
+});
+
+test('the skip policy skips a run while one is in progress', async () => {
+  const held = gate();
+  let calls = 0;
+  schedule('policy-skip', async () => {
+    calls++;
+    await held.promise;
+  }, { concurrency: 'skip' });
+
+  const first = scheduler.runTaskNow('policy-skip');
+  const second = await scheduler.runTaskNow('policy-skip');
+  held.release();
+
+  assert.deepStrictEqual(await first, { success: true, attempts: 1 });
+  assert.strictEqual(second.skipped, true);
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(scheduler.getTaskStats('policy-skip').skipped, 1);
+});
+
+test('the queue policy runs queued runs one after another', async () => {
+  const order = [];
+  let running = 0;
+  let maxRunning = 0;
+  schedule('policy-queue', async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    order.push(order.length);
+    await sleep(10);
+    running--;
+  }, { concurrency: 'queue' });
+
+  const outcomes = await Promise.all([1, 2, 3].map(() => scheduler.runTaskNow('policy-queue')));
+
+  assert.ok(outcomes.every(outcome => outcome.success));
+  assert.deepStrictEqual(order, [0, 1, 2]);
+  assert.strictEqual(maxRunning, 1);
+});
+
+test('the allow policy lets runs overlap', async () => {
+  const held = gate();
+  let running = 0;
+  let maxRunning = 0;
+  schedule('policy-allow', async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await held.promise;
+    running--;
+  }, { concurrency: 'allow' });
+
+  const runs = [scheduler.runTaskNow('policy-allow'), scheduler.runTaskNow('policy-allow')];
+  await sleep(10);
+  held.release();
+
+  assert.ok((await Promise.all(runs)).every(outcome => outcome.success));
+  assert.strictEqual(maxRunning, 2);
+});
+
+test('parseDuration reads units and combinations', () => {
+  assert.strictEqual(scheduler.parseDuration('250ms'), 250);
+  assert.strictEqual(scheduler.parseDuration('90s'), 90000);
+  assert.strictEqual(scheduler.parseDuration('15m'), 900000);
+  assert.strictEqual(scheduler.parseDuration('1h30m'), 5400000);
+  assert.strictEqual(scheduler.parseDuration('2d'), 172800000);
+  assert.strictEqual(scheduler.parseDuration('1w1d'), 691200000);
+  assert.strictEqual(scheduler.parseDuration(5000), 5000);
+});
+
+test('parseDuration rejects anything else', () => {
+  for (const value of ['', '10', '1x', '0m', '1h 30m', 'h', '-5m', 0, -5, 1.5, null, undefined, {}]) {
+    assert.strictEqual(scheduler.parseDuration(value), null, `${JSON.stringify(value)} should be rejected`);
+  }
+});
+
+test('an interval task runs on its start time plus whole intervals', () => {
+  const startAt = Date.now() - (2 * 60 + 5) * 60000;
+  tasks.push('grid');
+  scheduler.scheduleEvery('grid', '15m', async () => {}, { startAt: new Date(startAt).toISOString() });
+
+  // 125 minutes in, the next run is the tenth: 135 minutes after the start
+  assert.strictEqual(scheduler.getNextRunTime('grid'), new Date(startAt + 135 * 60000).toISOString());
+});
+
+test('an interval task starting in the future first runs at its start time', () => {
+  const startAt = new Date(Date.now() + 3600000).toISOString();
+  tasks.push('grid-later');
+  scheduler.scheduleEvery('grid-later', '1d', async () => {}, { startAt });
+
+  assert.strictEqual(scheduler.getNextRunTime('grid-later'), startAt);
+});
+
+test('a cron task runs at the expression\'s time in its timezone', () => {
+  // India has no daylight saving time: 09:30 there is always 04:00 UTC
+  tasks.push('cron-kolkata');
+  scheduler.scheduleTask('cron-kolkata', '30 9 * * *', async () => {}, { timezone: 'Asia/Kolkata' });
+
+  const next = new Date(scheduler.getNextRunTime('cron-kolkata'));
+  assert.strictEqual(next.toISOString().slice(11), '04:00:00.000Z');
+  assert.ok(next > Date.now() && next - Date.now() <= 86400000);
+});
+
+test('a cron task follows daylight saving time in its timezone', () => {
+  tasks.push('cron-new-york');
+  scheduler.scheduleTask('cron-new-york', '0 9 * * *', async () => {}, { timezone: 'America/New_York' });
+
+  const next = new Date(scheduler.getNextRunTime('cron-new-york'));
+  const local = new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'America/New_York', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).format(next);
+
+  assert.strictEqual(local, '09:00');
+  assert.ok(next > Date.now() && next - Date.now() <= 86400000);
+});